@@ -0,0 +1,403 @@
+/* Cactus Runner - agent interface: observations, actions, a rule-based autopilot and a headless benchmark (runs in browsers and Node) */
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./sim.js'));
+  else root.CactusAgent = factory(root.CactusSim);
+})(typeof self !== 'undefined' ? self : this, function(CactusSim){
+  'use strict';
+
+  const {FIXED_DT, groundY} = CactusSim.constants;
+  const ACTIONS = ['none', 'jump', 'duck'];
+  const LOOKAHEAD = 3; // entities per observation
+
+  function extent(boxes){
+    let l = Infinity, r = -Infinity, t = Infinity, b = -Infinity;
+    for(const [x, y, w, h] of boxes){
+      l = Math.min(l, x); r = Math.max(r, x + w); t = Math.min(t, y); b = Math.max(b, y + h);
+    }
+    return {l, r, t, b};
+  }
+
+  // Observations ------------------------------------------------
+  // observe(state, count) -> {player, speed, score, gameOver, entities}
+  //   player: {y (feet above the ground, px), vy (px/s, negative is up),
+  //            grounded, ducking, width (px)}
+  //   entities: the next `count` not yet behind the player, nearest first:
+  //            {type: 'cactus'|'bird'|'pit'|'tumbleweed'|'overhang'|'pickup',
+  //            kind (pickups), distance (px from the player's front to the
+  //            entity's near edge, negative while they overlap), speed (px/s
+  //            it closes in at), width, top and bottom (px above the ground)
+  //            now, bob (px: a bird's bob amplitude or a tumbleweed's bounce
+  //            height, 0 if it holds its height), minBottom and maxTop (the
+  //            lowest bottom and highest top it reaches while bobbing or
+  //            bouncing), clear ('jump'|'duck'|'none', the move that gets past
+  //            it, judged without the bob), boxes (each hitbox now, as
+  //            {distance, width, top, bottom})}
+  // "The ground" is the ground under the player, which slopes move. All
+  // sizes come from the hitboxes, so they are what collisions use; a pit's
+  // is the hole itself, top at the rim.
+  function observe(state, count = LOOKAHEAD){
+    const p = state.player;
+    const pe = extent(CactusSim.getPlayerBoxes(state));
+    const base = CactusSim.groundAt(state, p.x);
+    const slow = state.effects.slowmo > 0 ? CactusSim.PICKUP_KINDS.slowmo.factor : 1;
+    const entities = [];
+    for(const e of state.entities){
+      const boxes = CactusSim.getEntityBoxes(e);
+      const ex = extent(boxes);
+      if(ex.r <= pe.l) continue;
+      let amp = e.bob ? e.bob.amp : 0;
+      let low = ex.b, high = ex.t; // lowest bottom and highest top, in y
+      if(e.type === 'bird'){
+        const off = e.y - e.baseY; // current bob offset, down is positive
+        low += amp - off;
+        high -= amp + off;
+      } else if(e.type === 'tumbleweed'){
+        amp = e.bounceV * e.bounceV / (2 * CactusSim.constants.gravity);
+        low = CactusSim.groundAt(state, e.x) - e.h/2 + (ex.b - e.y); // resting on the ground
+        high = low - (ex.b - ex.t) - amp;
+      }
+      entities.push({
+        type: e.type === 'cactusCluster' ? 'cactus' : e.type,
+        kind: e.type === 'pickup' ? e.kind : null,
+        distance: ex.l - pe.r,
+        speed: state.speed - e.vx * slow,
+        width: ex.r - ex.l,
+        top: base - ex.t,
+        bottom: base - ex.b,
+        bob: amp,
+        minBottom: base - low,
+        maxTop: base - high,
+        clear: e.type === 'pickup' ? 'none' : e.clear,
+        boxes: boxes.map(([x, y, w, h]) => ({distance: x - pe.r, width: w, top: base - y, bottom: base - y - h}))
+      });
+    }
+    entities.sort((a, b) => a.distance - b.distance);
+    entities.length = Math.min(entities.length, count);
+    return {
+      player: {y: base - p.y, vy: p.vy, grounded: p.grounded, ducking: p.ducking, width: pe.r - pe.l},
+      speed: state.speed,
+      score: state.score,
+      gameOver: state.gameOver,
+      entities
+    };
+  }
+  // The same observation as a fixed-length array of roughly unit-sized
+  // numbers, for learning agents: 5 player values, then 12 per entity slot
+  // (present, then a flag for each of bird, pit, tumbleweed, overhang and
+  // pickup, distance, speed, width, top, bottom, bob).
+  const FLAGGED = ['bird', 'pit', 'tumbleweed', 'overhang', 'pickup'];
+  function observationVector(obs, count = LOOKAHEAD){
+    const p = obs.player;
+    const out = [p.y / 100, p.vy / 1000, p.grounded ? 1 : 0, p.ducking ? 1 : 0, obs.speed / 1000];
+    for(let i=0;i<count;i++){
+      const e = obs.entities[i];
+      if(!e){ out.push(0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0); continue; }
+      out.push(1, ...FLAGGED.map(t => e.type === t ? 1 : 0),
+        e.distance / 720, e.speed / 1000, e.width / 100, e.top / 100, e.bottom / 100, e.bob / 20);
+    }
+    return out;
+  }
+
+  // Actions ---------------------------------------------------
+  // An agent picks one of ACTIONS each step and it is held until the next
+  // pick: 'jump' holds the jump button (on the ground it starts a new jump),
+  // 'duck' holds duck, 'none' lets go of both. createActionMapper() turns
+  // picks into the sim's inputs; inputs(action, state) -> input list.
+  function createActionMapper(){
+    let held = 'none';
+    return {
+      get held(){ return held; },
+      inputs(action, state){
+        if(!ACTIONS.includes(action)) throw new Error(`Unknown agent action: ${action}`);
+        const p = state.player;
+        const out = [];
+        if(held === 'jump' && (action !== 'jump' || p.grounded)) out.push('endJump');
+        if(held === 'duck' && action !== 'duck') out.push('endDuck');
+        if(action === 'jump' && (held !== 'jump' || p.grounded)) out.push('startJump');
+        // a duck held through a landing takes effect once grounded
+        if(action === 'duck' && (held !== 'duck' || (p.grounded && !p.ducking))) out.push('startDuck');
+        held = action;
+        return out;
+      },
+      reset(){ held = 'none'; }
+    };
+  }
+
+  // Environment ------------------------------------------------
+  // createEnv({seed, profile, forgiveness, autoDuck, frameSkip, lookahead})
+  //   -> {sim, reset(seed) -> observation, step(action) -> {observation, reward, done, info}}
+  // Each env step holds the action for frameSkip FIXED_DT sim steps. The
+  // reward is the score gained, minus 1 for crashing.
+  function createEnv(opts = {}){
+    const sim = CactusSim.createSimulation({seed: opts.seed, profile: opts.profile, forgiveness: opts.forgiveness, autoDuck: opts.autoDuck});
+    const frameSkip = opts.frameSkip || 1;
+    const count = opts.lookahead || LOOKAHEAD;
+    const mapper = createActionMapper();
+    let death = null;
+    sim.on('hit', ({entity})=>{ death = describe(entity); });
+
+    function reset(seed){
+      sim.restart(seed);
+      mapper.reset();
+      death = null;
+      return observe(sim.state, count);
+    }
+    function step(action){
+      const state = sim.state;
+      if(state.gameOver) throw new Error('The run is over; call reset()');
+      const before = state.score;
+      let inputs = mapper.inputs(action, state);
+      for(let i=0;i<frameSkip && !state.gameOver;i++){
+        sim.step(FIXED_DT, inputs);
+        inputs = null;
+      }
+      const done = state.gameOver;
+      return {
+        observation: observe(state, count),
+        reward: state.score - before - (done ? 1 : 0),
+        done,
+        info: {step: state.step, time: state.time, distance: state.worldX, death}
+      };
+    }
+    return {sim, reset, step};
+  }
+  function describe(e){
+    if(e.type === 'bird') return `bird ${e.height}`;
+    if(e.type === 'cactusCluster') return `cactus x${e.count}`;
+    if(e.type === 'pit') return `pit ${e.w}px`;
+    return e.type;
+  }
+
+  // Autopilot ---------------------------------------------------
+  // createAutopilot({margin, forgiveness}) -> {act(observation) -> action}
+  // Plans rather than reacts: on the ground it searches the runs of jumps
+  // (on the sim's own arcs, jumpArc() for each hold from a tap to a full
+  // jump) that get past everything in view, and takes off when the best one
+  // says to. Each jump is judged together with what follows its landing, so
+  // a tap is only taken when it lands in time for the next obstacle and a
+  // held jump when the gap after it allows; obstacles too close together to
+  // land between are cleared in one jump. Plans are ranked by the least room
+  // they leave any hitbox, up to `margin` px, then by landing for good as
+  // soon as they can, since obstacles come into view little more than a
+  // jump's air time ahead. Obstacles are judged box by box over the whole
+  // bob (so it won't jump into a high bird that a duck gets under), and
+  // what only a standing player hits is ducked. Of the pickups it only
+  // steers clear of slow motion in the air, which would stretch the
+  // obstacle under a jump already taken. Give it observations with a
+  // lookahead of 5 or so, one step apart (frameSkip 1).
+  const HOLDS = [1, 4, 8, 12, Math.round(CactusSim.constants.maxHoldJumpSec / FIXED_DT)]; // steps jump is held
+  const SPARE_STEPS = 4; // steps before the latest takeoff that still works
+  const MAX_STEPS = 600; // how far ahead plans reach
+  function createAutopilot(opts = {}){
+    const margin = opts.margin === undefined ? 2 : opts.margin;
+    const forgiveness = opts.forgiveness === undefined ? CactusSim.constants.forgiveness : opts.forgiveness;
+    const arcs = HOLDS.map(n => {
+      const heights = CactusSim.jumpArc(n * FIXED_DT).heights;
+      return {heights, apex: heights.indexOf(Math.max(...heights))};
+    });
+    // each pose's hitboxes around the feet, y up: [{l, r, bottom, top}]
+    // (shaved by the forgiveness, as in collisions, and whole for pickups),
+    // and the front observe() measures distances from
+    const poses = {}, whole = {}, fronts = {};
+    for(const pose of ['run', 'duck', 'jump']){
+      const player = {gameOver: false, player: {x: 0, y: groundY, grounded: pose !== 'jump', sprite: pose}};
+      const boxes = inset => CactusSim.getPlayerBoxes(player, inset).map(([x, y, w, h]) => ({l: x, r: x + w, bottom: groundY - y - h, top: groundY - y}));
+      poses[pose] = boxes(forgiveness);
+      whole[pose] = boxes(0);
+      fronts[pose] = extent(CactusSim.getPlayerBoxes(player)).r;
+    }
+    let holdLeft = 0; // steps the jump under way is still held
+    let lastSpeed = null, accel = 0; // the world's speed-up (px/s²), from one step to the next
+
+    // Obstacles as what the player must get past, one per hitbox: {low,
+    // high} in px above the ground over the whole bob and, for each pose,
+    // the player's boxes with the steps (0 is the one the action is for)
+    // each overlaps it, as the world speeds up: [{bottom, top, from, to}].
+    // A pit is only a hazard once the feet are over it, less the forgiveness.
+    function obstaclesOf(obs){
+      const p = obs.player;
+      const front = fronts[!p.grounded ? 'jump' : p.ducking ? 'duck' : 'run'];
+      const out = [];
+      obs.entities.forEach((e, id) => {
+        if((e.type === 'pickup' && e.kind !== 'slowmo') || !(e.speed > 0)) return;
+        // steps until it has moved d px: n·v·dt + a·dt²·n(n+1)/2 = d
+        const A = accel * FIXED_DT * FIXED_DT / 2, B = e.speed * FIXED_DT + A;
+        const steps = d => 2 * d / (B + Math.sqrt(Math.max(0, B * B + 4 * A * d)));
+        const pit = e.type === 'pit';
+        for(const box of pit ? [e] : e.boxes){
+          const left = box.distance + front; // near edge, from the player's x
+          const o = {id, low: box.bottom - (e.bottom - e.minBottom), high: box.top + (e.maxTop - e.top), pit, slowmo: e.type === 'pickup'};
+          for(const pose in poses){
+            const mine = pit ? [{l: -forgiveness, r: forgiveness, bottom: 0, top: 0}] : (o.slowmo ? whole : poses)[pose];
+            // it moves before each step's collision check; a step spare at
+            // the far side, as the speed-up is only an estimate
+            o[pose] = mine.map(b => ({bottom: b.bottom, top: b.top,
+              from: Math.floor(steps(left - b.r)), to: Math.ceil(steps(left + box.width - b.l)) - 1}));
+          }
+          out.push(o);
+        }
+      });
+      return out;
+    }
+    // how far (px) a box keeps clear of o with the feet between lo and hi, negative on a hit
+    function clearance(o, box, lo, hi){
+      if(o.pit) return lo > 0 ? lo : -1;
+      return Math.max(lo + box.bottom - o.high, o.low - (hi + box.top));
+    }
+    // the least room (up to margin) a pose on the ground has at each step
+    function groundRoom(obstacles, pose, steps){
+      const room = new Array(steps).fill(margin);
+      for(const o of obstacles){
+        if(o.slowmo) continue;
+        for(const box of o[pose]){
+          const c = clearance(o, box, 0, 0);
+          for(let k = Math.max(0, box.from); k <= box.to && k < steps; k++) room[k] = Math.min(room[k], c);
+        }
+      }
+      return room;
+    }
+    // The best plan from here: {T, hold, room, slowmo, land, jumps, duck},
+    // the step to take off at (Infinity if no jump is needed) and hold jump
+    // for, the least room the plan leaves anything (up to margin, negative
+    // if it hits something), the slow-motion pickups it takes in the air,
+    // the step it is back on the ground for good, its jumps, and whether to
+    // duck now. A jump lands in the run pose, and the step after is the
+    // first it can duck or jump again on.
+    function plan(obstacles){
+      let horizon = 0;
+      for(const o of obstacles) for(const pose in poses) for(const box of o[pose]) horizon = Math.max(horizon, box.to);
+      horizon = Math.min(horizon, MAX_STEPS);
+      const steps = horizon + arcs[arcs.length - 1].heights.length + 2;
+      const run = groundRoom(obstacles, 'run', steps), duck = groundRoom(obstacles, 'duck', steps);
+      const ground = run.map((r, k) => Math.max(r, duck[k]));
+      // the least room of a jump on arcs[h] taking off at step T (an arc
+      // rises then falls, so the feet's range over a stretch is at its ends
+      // or the apex)
+      const flights = arcs.map(() => []);
+      function flight(T, h){
+        if(flights[h][T] !== undefined) return flights[h][T];
+        const {heights, apex} = arcs[h];
+        const out = {room: Math.min(margin, run[T + heights.length - 1]), slowmo: 0};
+        const taken = new Set();
+        for(const o of obstacles){
+          let least = Infinity;
+          for(const box of o.jump){
+            const from = Math.max(box.from, T), to = Math.min(box.to, T + heights.length - 2);
+            if(from > to) continue;
+            const a = Math.max(0, heights[from - T]), b = Math.max(0, heights[to - T]);
+            const hi = from - T <= apex && apex <= to - T ? heights[apex] : Math.max(a, b);
+            least = Math.min(least, clearance(o, box, Math.min(a, b), hi));
+          }
+          if(!o.slowmo) out.room = Math.min(out.room, least);
+          else if(least < 0) taken.add(o.id);
+        }
+        out.slowmo = taken.size;
+        return (flights[h][T] = out);
+      }
+      // more room first (up to margin), then fewer slow-motion pickups taken
+      // in the air (the world slows but the jump doesn't), then back on the
+      // ground for good sooner, ready for what comes into view next, then
+      // fewer jumps: < 0 if plan a is better than b
+      const compare = (a, b) => Math.min(b.room, margin) - Math.min(a.room, margin) ||
+        a.slowmo - b.slowmo || a.land - b.land || a.jumps - b.jumps;
+      const memo = new Map();
+      function next(k){
+        if(k > horizon) return {T: Infinity, hold: 0, room: margin, slowmo: 0, land: k, jumps: 0};
+        if(memo.has(k)) return memo.get(k);
+        // the room on the ground before each takeoff, up to where it's blocked
+        const before = [margin];
+        let end = k;
+        for(; end <= horizon && ground[end] >= 0; end++) before.push(Math.min(before[before.length - 1], ground[end]));
+        let best = end > horizon ? {T: Infinity, hold: 0, room: before[before.length - 1], slowmo: 0, land: k, jumps: 0} : null;
+        let ties = [];
+        for(let T = k; T <= Math.min(end, horizon); T++){
+          for(let h = 0; h < arcs.length; h++){
+            const f = flight(T, h), room = Math.min(before[T - k], f.room);
+            if(best && room < best.room && room < margin) continue;
+            const after = next(T + arcs[h].heights.length);
+            const mine = {T, hold: HOLDS[h], room: Math.min(room, after.room), slowmo: f.slowmo + after.slowmo, land: after.land, jumps: after.jumps + 1};
+            const c = best ? compare(mine, best) : -1;
+            if(c < 0){ best = mine; ties = [mine]; } else if(c === 0 && best.T !== Infinity) ties.push(mine);
+          }
+        }
+        // of equally good plans, take off a little before the last moment,
+        // for slack should the world speed up (slow motion running out)
+        if(ties.length > 1){
+          const latest = ties[ties.length - 1].T;
+          best = ties.filter(t => t.T <= latest - SPARE_STEPS).pop() || ties[0];
+        }
+        memo.set(k, best);
+        return best;
+      }
+      const best = next(0);
+      best.duck = run[0] < margin && duck[0] > run[0];
+      return best;
+    }
+
+    function act(obs){
+      const p = obs.player;
+      // a slow-motion pickup starting or ending jumps the speed: keep the last
+      if(lastSpeed !== null && Math.abs(obs.speed - lastSpeed) < 1) accel = (obs.speed - lastSpeed) / FIXED_DT;
+      lastSpeed = obs.speed;
+      if(!p.grounded){
+        holdLeft--;
+        return holdLeft > 0 ? 'jump' : 'none';
+      }
+      const planned = plan(obstaclesOf(obs));
+      if(planned.T === 0){
+        holdLeft = planned.hold;
+        return 'jump';
+      }
+      return planned.duck ? 'duck' : 'none';
+    }
+    return {act};
+  }
+
+  // Benchmark ---------------------------------------------------
+  // benchmark({seeds, profile, policy, maxTime, frameSkip}) -> {runs, summary}
+  // Plays one run per seed as fast as it computes. seeds is a count (seeds
+  // 1..n) or a list; policy defaults to a fresh autopilot for each run;
+  // runs stop at a crash or after maxTime s of game time.
+  //   runs: [{seed, score, time, distance, crashed, death}]
+  //   summary: {runs, crashes, meanScore, meanTime, deaths: {'bird low': n, ...}}
+  // With the autopilot, deaths mostly point at runs of three or more
+  // obstacles: validateProfile() only checks them in pairs, and the last of
+  // such a run can come into view after the jump that leaves no landing
+  // before it was taken. From Node:
+  //   node -e "const A = require('./agent.js'), S = require('./sim.js');
+  //     console.log(A.benchmark({seeds: 50, profile: S.PRESETS.hard}).summary)"
+  function benchmark(opts = {}){
+    const seeds = Array.isArray(opts.seeds) ? opts.seeds : Array.from({length: opts.seeds || 20}, (_, i) => i + 1);
+    const maxTime = opts.maxTime || 120;
+    const env = createEnv({profile: opts.profile, frameSkip: opts.frameSkip, lookahead: 6});
+    const runs = [];
+    for(const seed of seeds){
+      const policy = opts.policy || createAutopilot();
+      let obs = env.reset(seed);
+      let r = null;
+      do {
+        r = env.step(policy.act(obs));
+        obs = r.observation;
+      } while(!r.done && r.info.time < maxTime);
+      runs.push({seed, score: obs.score, time: r.info.time, distance: r.info.distance, crashed: r.done, death: r.info.death});
+    }
+    const deaths = {};
+    for(const run of runs) if(run.death) deaths[run.death] = (deaths[run.death] || 0) + 1;
+    const mean = key => runs.reduce((a, run) => a + run[key], 0) / (runs.length || 1);
+    return {
+      runs,
+      summary: {runs: runs.length, crashes: runs.filter(run => run.crashed).length, meanScore: mean('score'), meanTime: mean('time'), deaths}
+    };
+  }
+
+  return {
+    ACTIONS,
+    LOOKAHEAD,
+    observe,
+    observationVector,
+    createActionMapper,
+    createEnv,
+    createAutopilot,
+    benchmark
+  };
+});
@@ -0,0 +1,159 @@
+/* Cactus Runner - audio engine: master/music/sfx buses and procedural music */
+(function(root){
+  'use strict';
+
+  const STORAGE_KEY = 'cactusRunnerAudio';
+  const BUSES = ['master', 'music', 'sfx'];
+  const DEFAULT_VOLUMES = {master: 0.8, music: 0.5, sfx: 0.7};
+  const LOOKAHEAD = 0.12; // s of music scheduled ahead of the clock
+  const MIN_BPM = 84, MAX_BPM = 150;
+
+  // A minor pentatonic, MIDI notes; the music is a bass line plus a sparse
+  // arpeggio picked from it, one bar of 8 eighth notes at a time.
+  const SCALE = [57, 60, 62, 64, 67, 69, 72, 74, 76];
+  const BASS = [45, 45, 48, 43]; // one root per bar, cycling
+  const midiHz = n => 440 * Math.pow(2, (n - 69) / 12);
+
+  // createAudioEngine({storage}) -> engine; nothing is created until unlock()
+  // runs inside a user gesture, as browsers require.
+  function createAudioEngine(opts = {}){
+    const storage = opts.storage || null;
+    const settings = load();
+    let ctx = null;
+    const nodes = {}; // bus -> GainNode
+    const music = {playing: false, bpm: MIN_BPM, nextT: 0, beat: 0, bar: 0};
+
+    function load(){
+      const out = {volumes: Object.assign({}, DEFAULT_VOLUMES), muted: false};
+      if(!storage) return out;
+      try {
+        const saved = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+        if(saved && saved.v === 1){
+          for(const bus of BUSES){
+            const v = saved.volumes && saved.volumes[bus];
+            if(typeof v === 'number' && v >= 0 && v <= 1) out.volumes[bus] = v;
+          }
+          out.muted = !!saved.muted;
+        }
+      } catch(e){ console.warn('Ignoring unreadable audio settings'); }
+      return out;
+    }
+    function save(){
+      if(!storage) return;
+      try { storage.setItem(STORAGE_KEY, JSON.stringify({v: 1, volumes: settings.volumes, muted: settings.muted})); }
+      catch(e){ console.warn('Audio settings not saved:', e.message); }
+    }
+
+    function unlock(){
+      if(settings.muted) return;
+      if(!ctx){
+        try { ctx = new (root.AudioContext || root.webkitAudioContext)(); }
+        catch(e){ console.warn('WebAudio unsupported'); return; }
+        // sfx and music -> master -> compressor (tames stacked cues) -> out
+        const comp = ctx.createDynamicsCompressor();
+        comp.connect(ctx.destination);
+        nodes.master = ctx.createGain();
+        nodes.master.connect(comp);
+        for(const bus of ['music', 'sfx']){
+          nodes[bus] = ctx.createGain();
+          nodes[bus].connect(nodes.master);
+        }
+        applyVolumes();
+      }
+      if(ctx.state === 'suspended') ctx.resume().catch(()=>{});
+    }
+    function ready(){ return !!ctx && ctx.state === 'running' && !settings.muted; }
+    function applyVolumes(){
+      if(!ctx) return;
+      for(const bus of BUSES){
+        const v = bus === 'master' && settings.muted ? 0 : settings.volumes[bus];
+        // squared so the slider feels even to the ear
+        nodes[bus].gain.setTargetAtTime(v * v, ctx.currentTime, 0.02);
+      }
+    }
+
+    function setVolume(bus, v){
+      if(!BUSES.includes(bus)) throw new Error(`Unknown audio bus: ${bus}`);
+      settings.volumes[bus] = Math.min(1, Math.max(0, v));
+      applyVolumes();
+      save();
+    }
+    function setMuted(m){
+      settings.muted = !!m;
+      if(!settings.muted) unlock();
+      applyVolumes();
+      save();
+    }
+
+    // One enveloped oscillator on a bus, starting `when` s from now or at the
+    // context time `at`; slide glides the pitch to that frequency over the note.
+    function tone({bus='sfx', type='triangle', freq=440, slide=0, duration=0.08, volume=0.15, when=0, at}){
+      if(!ready()) return;
+      const t = Math.max(ctx.currentTime, at !== undefined ? at : ctx.currentTime + when);
+      const o = ctx.createOscillator();
+      const g = ctx.createGain();
+      o.type = type;
+      o.frequency.setValueAtTime(freq, t);
+      if(slide) o.frequency.exponentialRampToValueAtTime(slide, t + duration);
+      o.connect(g).connect(nodes[bus]);
+      const attack = 0.008;
+      g.gain.setValueAtTime(0, t);
+      g.gain.linearRampToValueAtTime(volume, t + attack);
+      g.gain.exponentialRampToValueAtTime(0.0001, t + attack + Math.max(0, duration - attack));
+      o.start(t);
+      o.stop(t + duration + 0.03);
+    }
+
+    // Music -------------------------------------------------
+    function startMusic(){
+      if(music.playing) return;
+      music.playing = true;
+      music.nextT = ctx ? ctx.currentTime + 0.05 : 0;
+      music.beat = 0;
+      music.bar = 0;
+    }
+    function stopMusic(){ music.playing = false; }
+    function setTempo(bpm){ music.bpm = Math.min(MAX_BPM, Math.max(MIN_BPM, bpm)); }
+
+    // Call every frame; schedules the eighth notes falling inside the lookahead
+    function update(){
+      if(!music.playing || !ready()) return;
+      const now = ctx.currentTime;
+      if(music.nextT < now) music.nextT = now + 0.02; // resumed after a stall
+      while(music.nextT < now + LOOKAHEAD){
+        playEighth(music.nextT);
+        music.nextT += 30 / music.bpm;
+        if(++music.beat === 8){ music.beat = 0; music.bar++; }
+      }
+    }
+    function playEighth(t){
+      const eighth = 30 / music.bpm;
+      const bass = BASS[music.bar % BASS.length];
+      if(music.beat % 4 === 0) tone({bus:'music', type:'triangle', freq: midiHz(bass), duration: eighth * 3, volume: 0.22, at: t});
+      if(music.beat % 4 === 2) tone({bus:'music', type:'sine', freq: midiHz(bass + 12), duration: eighth, volume: 0.12, at: t});
+      // arpeggio: most eighths, stepping through the scale with some skips
+      if(Math.random() < 0.6){
+        const n = SCALE[(music.bar * 3 + music.beat * 2 + (Math.random() < 0.3 ? 1 : 0)) % SCALE.length];
+        tone({bus:'music', type:'sine', freq: midiHz(n), duration: eighth * 0.9, volume: 0.07, at: t});
+      }
+      // soft tick on the off-beats
+      if(music.beat % 2 === 1) tone({bus:'music', type:'square', freq: 2400, duration: 0.02, volume: 0.015, at: t});
+    }
+
+    return {
+      buses: BUSES.slice(),
+      get volumes(){ return Object.assign({}, settings.volumes); },
+      get muted(){ return settings.muted; },
+      unlock,
+      setVolume,
+      setMuted,
+      tone,
+      startMusic,
+      stopMusic,
+      setTempo,
+      update
+    };
+  }
+
+  root.CactusAudio = {createAudioEngine, DEFAULT_VOLUMES, MIN_BPM, MAX_BPM};
+})(typeof self !== 'undefined' ? self : this);
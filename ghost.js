@@ -0,0 +1,128 @@
+/* Cactus Runner - ghost runs: sampled player trajectories to race against */
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.CactusGhost = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const SAMPLE_HZ = 30;
+  const POSES = ['run', 'jump', 'duck', 'hit'];
+
+  // Ghost file (v2):
+  //   {kind:'cactusRunnerGhost', v:2, hz, score, scoring, duration, profile, name,
+  //    samples:[[worldX, y, pose, score], ...]}
+  // one sample every 1/hz s of sim time; pose indexes POSES; y is the feet's
+  // height relative to the ground under them (negative in the air), so the
+  // ghost follows the slopes of whatever run it is raced in. v1 files hold
+  // the feet's screen y instead, from the flat ground before slopes; ghostAt()
+  // says which with fromGround, and ghostY() places either. scoring is the
+  // scoring version its scores were made under (CactusSim.scoring.SCORING_VERSION,
+  // 1 if missing); scores only compare between ghosts and runs of the same one.
+
+  // Samples the live run; finish() returns the ghost data. `from` carries on
+  // from the samples of a run restored part way through. sample() takes the
+  // y of the ground under the player (CactusSim.groundAt()) along with the state.
+  function createGhostRecorder(from = []){
+    const samples = from.slice();
+    let next = 0; // sim time of the next sample
+    return {
+      sample(state, pose, ground){
+        while(state.time >= next){
+          samples.push([
+            Math.round(state.worldX * 10) / 10,
+            Math.round((state.player.y - ground) * 10) / 10,
+            POSES.indexOf(pose),
+            state.score
+          ]);
+          next = samples.length / SAMPLE_HZ;
+        }
+      },
+      finish(state, info = {}){
+        return {
+          kind: 'cactusRunnerGhost',
+          v: 2,
+          hz: SAMPLE_HZ,
+          score: state.score,
+          scoring: info.scoring || 1,
+          duration: Math.round(state.time * 100) / 100,
+          profile: info.profile || null,
+          name: info.name || '',
+          samples: samples.slice()
+        };
+      }
+    };
+  }
+
+  function parseGhost(text){
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    if(!data || data.kind !== 'cactusRunnerGhost' || !(data.v === 1 || data.v === 2) || !(data.hz > 0) ||
+       !Array.isArray(data.samples) || !data.samples.length){
+      throw new Error('Not a Cactus Runner ghost');
+    }
+    return data;
+  }
+
+  // Ghost at sim time t, interpolated between samples; null once it has finished
+  function ghostAt(ghost, t){
+    const f = t * ghost.hz;
+    const i = Math.floor(f);
+    const s = ghost.samples;
+    if(i >= s.length - 1){
+      return t > ghost.duration ? null : sampleInfo(ghost, s[s.length-1], s[s.length-1], 0);
+    }
+    return sampleInfo(ghost, s[i], s[i+1], f - i);
+  }
+  function sampleInfo(ghost, a, b, k){
+    return {
+      worldX: a[0] + (b[0] - a[0]) * k,
+      y: a[1] + (b[1] - a[1]) * k,
+      fromGround: ghost.v >= 2,
+      pose: POSES[a[2]] || 'run',
+      score: a[3]
+    };
+  }
+
+  // Screen y of ghostAt()'s feet, over ground whose surface is at `ground`
+  // (CactusSim.groundAt() where the ghost is)
+  function ghostY(g, ground){ return g.fromGround ? g.y + ground : g.y; }
+
+  // Stores the personal-best ghost and an optional shared one. A best ghost
+  // from other scoring than opts.scoring is dropped: it can't be beaten fairly.
+  function createGhostStore(storage, opts = {}){
+    const scoring = opts.scoring || 1;
+    const BEST_KEY = 'cactusRunnerGhost';
+    const SHARED_KEY = 'cactusRunnerSharedGhost';
+    function read(key){
+      try { return storage.getItem(key) ? parseGhost(storage.getItem(key)) : null; }
+      catch(e){ console.warn(`Ignoring unreadable ghost in ${key}`); return null; }
+    }
+    function write(key, ghost){
+      try { storage.setItem(key, JSON.stringify(ghost)); }
+      catch(e){ console.warn('Ghost not saved:', e.message); }
+    }
+    let best = read(BEST_KEY);
+    if(best && (best.scoring || 1) !== scoring){
+      best = null;
+      storage.removeItem(BEST_KEY);
+    }
+    let shared = read(SHARED_KEY);
+    return {
+      // the ghost to race: a loaded shared ghost wins over the personal best
+      get active(){ return shared || best; },
+      get best(){ return best; },
+      offerBest(ghost){
+        if(best && best.score >= ghost.score) return false;
+        best = ghost;
+        write(BEST_KEY, ghost);
+        return true;
+      },
+      setShared(ghost){
+        shared = ghost;
+        if(ghost) write(SHARED_KEY, ghost);
+        else storage.removeItem(SHARED_KEY);
+      }
+    };
+  }
+
+  return {SAMPLE_HZ, createGhostRecorder, parseGhost, ghostAt, ghostY, createGhostStore};
+});
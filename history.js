@@ -0,0 +1,137 @@
+/* Cactus Runner - run history, leaderboard and statistics (localStorage) */
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.CactusHistory = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const STORAGE_KEY = 'cactusRunnerHistory';
+  const LEGACY_BEST_KEY = 'cactusRunnerBest';
+  const VERSION = 2;
+  const MAX_RUNS = 200; // newest runs kept; top-10 runs are never pruned
+  const LEADERBOARD_SIZE = 10;
+
+  // Stored shape (v2):
+  //   {v:2, nextId, runs:[{id, score, scoring, distance, duration, topSpeed,
+  //                        death:{type, height}|null, date, initials, assisted}]}
+  // distance is worldX in px, duration is sim time in s, date an ISO string
+  // (null for the best score migrated from the legacy key). assisted marks
+  // runs played with accessibility assists (slow mode, auto-duck). scoring is
+  // the scoring rules the run was scored under (CactusSim.scoring.SCORING_VERSION);
+  // scores under other rules stay in the history but out of the leaderboard,
+  // the best and the score statistics.
+  function emptyData(){ return {v: VERSION, nextId: 1, runs: []}; }
+
+  // Upgrade whatever is stored to the current version. Add a case per version.
+  function migrate(data, storage){
+    if(!data){
+      data = emptyData();
+      const legacy = Number(storage.getItem(LEGACY_BEST_KEY) || 0);
+      if(legacy > 0){
+        data.runs.push({id: data.nextId++, score: legacy, scoring: 1, distance: null, duration: null, topSpeed: null, death: null, date: null, initials: ''});
+      }
+    }
+    if(data.v === 1){
+      // v1 predates distance, combo and near-miss points
+      for(const r of data.runs) r.scoring = 1;
+      data.v = 2;
+    }
+    if(data.v !== VERSION) throw new Error(`Unknown run history version ${data.v}`);
+    return data;
+  }
+
+  // createRunHistory({storage, scoring}) -> store with add/leaderboard/stats;
+  // scoring is the current scoring version (default 1)
+  function createRunHistory(opts = {}){
+    const storage = opts.storage;
+    const scoring = opts.scoring || 1;
+    let data;
+    try {
+      data = migrate(JSON.parse(storage.getItem(STORAGE_KEY) || 'null'), storage);
+      save();
+      storage.removeItem(LEGACY_BEST_KEY); // migrated above
+    } catch(e){
+      console.warn('Run history unreadable, starting fresh:', e.message);
+      data = emptyData();
+    }
+
+    function save(){
+      try { storage.setItem(STORAGE_KEY, JSON.stringify(data)); }
+      catch(e){ console.warn('Run history not saved:', e.message); }
+    }
+    function byScore(a, b){ return b.score - a.score || a.id - b.id; }
+    function current(){ return data.runs.filter(r => r.scoring === scoring); }
+    function leaderboard(n = LEADERBOARD_SIZE){ return current().sort(byScore).slice(0, n); }
+    function prune(){
+      if(data.runs.length <= MAX_RUNS) return;
+      const keep = new Set(leaderboard().map(r => r.id));
+      const recent = data.runs.slice(-MAX_RUNS);
+      for(const r of recent) keep.add(r.id);
+      data.runs = data.runs.filter(r => keep.has(r.id));
+    }
+
+    // Record a finished run; returns it with its leaderboard rank (1-based, or 0)
+    function add(run){
+      const rec = {
+        id: data.nextId++,
+        score: run.score,
+        scoring,
+        distance: Math.round(run.distance),
+        duration: Math.round(run.duration * 100) / 100,
+        topSpeed: Math.round(run.topSpeed),
+        death: run.death || null,
+        date: (run.date || new Date()).toISOString(),
+        initials: '',
+        assisted: !!run.assisted
+      };
+      data.runs.push(rec);
+      prune();
+      save();
+      const rank = leaderboard().findIndex(r => r.id === rec.id) + 1;
+      return {run: rec, rank};
+    }
+    function setInitials(id, initials){
+      const rec = data.runs.find(r => r.id === id);
+      if(!rec) return;
+      rec.initials = String(initials).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+      save();
+    }
+    function best(){ return current().reduce((m, r)=>Math.max(m, r.score), 0); }
+
+    // Aggregates for the stats panel; deaths are keyed "cactus", "bird-low", ...
+    // Score figures only count runs under the current scoring.
+    function stats(){
+      const runs = data.runs.filter(r => r.date);
+      const scored = runs.filter(r => r.scoring === scoring);
+      const deaths = {};
+      let distance = 0, duration = 0, score = 0;
+      for(const r of scored) score += r.score;
+      for(const r of runs){
+        distance += r.distance || 0;
+        duration += r.duration || 0;
+        if(r.death){
+          const key = r.death.height ? `${r.death.type}-${r.death.height}` : r.death.type;
+          deaths[key] = (deaths[key] || 0) + 1;
+        }
+      }
+      // running best over time, one point per run that raised it
+      const progress = [];
+      let top = 0;
+      for(const r of scored){
+        if(r.score > top){ top = r.score; progress.push({date: r.date, score: r.score}); }
+      }
+      return {
+        runs: runs.length,
+        totalDistance: distance,
+        totalDuration: duration,
+        averageScore: scored.length ? score / scored.length : 0,
+        deaths,
+        progress
+      };
+    }
+
+    return {add, setInitials, leaderboard, best, stats};
+  }
+
+  return {createRunHistory, LEADERBOARD_SIZE};
+});
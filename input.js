@@ -0,0 +1,276 @@
+/* Cactus Runner - input mapping: abstract actions <- keyboard keys, gamepad buttons/axes */
+(function(root){
+  'use strict';
+
+  const STORAGE_KEY = 'cactusRunnerBindings';
+  const AXIS_THRESHOLD = 0.5;
+
+  // Action -> bindings. keys are KeyboardEvent.code values (physical keys),
+  // buttons are standard-mapping gamepad button indices, axes are "<index><+|->".
+  const DEFAULT_BINDINGS = {
+    jump:       {keys: ['Space', 'ArrowUp', 'KeyW'], buttons: [0, 12], axes: []},
+    duck:       {keys: ['ArrowDown', 'KeyS'], buttons: [1, 13], axes: ['1+']},
+    pause:      {keys: ['KeyP', 'Escape'], buttons: [9], axes: []},
+    restart:    {keys: ['Enter'], buttons: [0, 9], axes: []},
+    mute:       {keys: ['KeyM'], buttons: [8], axes: []},
+    saveReplay: {keys: ['KeyR'], buttons: [], axes: []},
+    saveGhost:  {keys: ['KeyG'], buttons: [], axes: []},
+    fullscreen: {keys: ['KeyF'], buttons: [], axes: []}
+  };
+  const ACTION_LABELS = {
+    jump: 'Jump', duck: 'Duck', pause: 'Pause', restart: 'Restart', mute: 'Mute', saveReplay: 'Save replay', saveGhost: 'Save ghost', fullscreen: 'Fullscreen'
+  };
+  const PAD_BUTTON_LABELS = ['A','B','X','Y','LB','RB','LT','RT','Back','Start','L3','R3','D-pad ↑','D-pad ↓','D-pad ←','D-pad →','Home'];
+  // Fixed menu navigation on standard-mapping pads, independent of bindings
+  const MENU_BUTTONS = {up: [12], down: [13], left: [14], right: [15], confirm: [0], back: [1]};
+  const MENU_AXES = {up: '1-', down: '1+', left: '0-', right: '0+'};
+  // Actions that only act once the run is over (see main.js onAction), while
+  // jump, duck and pause only act during it: the two kinds can share inputs
+  // (A jumps, then restarts), so binding one doesn't take it from the other.
+  const GAME_OVER_ACTIONS = ['restart', 'saveReplay', 'saveGhost'];
+  const IN_RUN_ACTIONS = ['jump', 'duck', 'pause'];
+  function canShare(a, b){
+    return (GAME_OVER_ACTIONS.includes(a) && IN_RUN_ACTIONS.includes(b)) || (GAME_OVER_ACTIONS.includes(b) && IN_RUN_ACTIONS.includes(a));
+  }
+  const KEY_LABELS = {Space:'Space', ArrowUp:'↑', ArrowDown:'↓', ArrowLeft:'←', ArrowRight:'→', Enter:'Enter', Escape:'Esc'};
+
+  function cloneBindings(b){
+    const out = {};
+    for(const action in b) out[action] = {keys: b[action].keys.slice(), buttons: b[action].buttons.slice(), axes: b[action].axes.slice()};
+    return out;
+  }
+
+  // createInputMap({storage}) -> mapping with persistence and gamepad polling
+  function createInputMap(opts = {}){
+    const storage = opts.storage || null;
+    let bindings = load();
+    let layoutMap = null; // KeyboardLayoutMap for layout-aware labels where supported
+    const padState = {}; // action -> pressed on any pad at last poll
+    const menuState = {}; // menu direction -> pressed at last pollMenu()
+
+    if(typeof navigator !== 'undefined' && navigator.keyboard && navigator.keyboard.getLayoutMap){
+      navigator.keyboard.getLayoutMap().then((m)=>{ layoutMap = m; }).catch(()=>{});
+    }
+
+    function load(){
+      const b = cloneBindings(DEFAULT_BINDINGS);
+      if(!storage) return b;
+      try {
+        const saved = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+        if(saved && saved.v === 1 && saved.bindings){
+          for(const action in b){
+            const s = saved.bindings[action];
+            if(!s) continue;
+            if(Array.isArray(s.keys)) b[action].keys = s.keys.filter(k => typeof k === 'string');
+            if(Array.isArray(s.buttons)) b[action].buttons = s.buttons.filter(Number.isInteger);
+            if(Array.isArray(s.axes)) b[action].axes = s.axes.filter(a => /^\d+[+-]$/.test(a));
+          }
+        }
+      } catch(e){ console.warn('Ignoring unreadable key bindings'); }
+      return b;
+    }
+    function save(){
+      if(!storage) return;
+      try { storage.setItem(STORAGE_KEY, JSON.stringify({v:1, bindings})); }
+      catch(e){ console.warn('Key bindings not saved:', e.message); }
+    }
+
+    // Bind a captured input to an action. Keys replace the action's key list and
+    // are taken away from any other action it can't share with; pad inputs do
+    // the same for the pad.
+    function bind(action, input){
+      if(!bindings[action]) throw new Error(`Unknown action: ${action}`);
+      const field = input.key !== undefined ? 'keys' : input.button !== undefined ? 'buttons' : 'axes';
+      const value = input.key !== undefined ? input.key : input.button !== undefined ? input.button : input.axis;
+      if(field !== 'keys'){
+        // a pad binding replaces both buttons and axes
+        bindings[action].buttons = [];
+        bindings[action].axes = [];
+      }
+      for(const other in bindings){
+        if(other === action || canShare(action, other)) continue;
+        const list = bindings[other][field];
+        const i = list.indexOf(value);
+        if(i >= 0) list.splice(i, 1);
+      }
+      bindings[action][field] = [value];
+      save();
+    }
+    function reset(){
+      bindings = cloneBindings(DEFAULT_BINDINGS);
+      save();
+    }
+
+    function actionsForKey(code){
+      const out = [];
+      for(const action in bindings) if(bindings[action].keys.includes(code)) out.push(action);
+      return out;
+    }
+    function isBoundKey(code){ return actionsForKey(code).length > 0; }
+
+    function getPads(){
+      if(typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+      return Array.from(navigator.getGamepads() || []).filter(Boolean);
+    }
+    function axisActive(pad, spec){
+      const idx = parseInt(spec, 10);
+      const v = pad.axes[idx] || 0;
+      return spec.endsWith('+') ? v > AXIS_THRESHOLD : v < -AXIS_THRESHOLD;
+    }
+    // Poll once per frame; returns [action, down] edges since the last poll.
+    function pollGamepads(){
+      const pads = getPads();
+      const edges = [];
+      for(const action in bindings){
+        const b = bindings[action];
+        const down = pads.some(pad =>
+          b.buttons.some(i => pad.buttons[i] && pad.buttons[i].pressed) ||
+          b.axes.some(a => axisActive(pad, a)));
+        if(down !== !!padState[action]) edges.push([action, down]);
+        padState[action] = down;
+      }
+      return edges;
+    }
+    // Poll for menu navigation; returns 'up'|'down'|'left'|'right'|'confirm'|'back'
+    // for each newly pressed direction or button.
+    function pollMenu(){
+      const pads = getPads();
+      const presses = [];
+      for(const nav in MENU_BUTTONS){
+        const down = pads.some(pad =>
+          MENU_BUTTONS[nav].some(i => pad.buttons[i] && pad.buttons[i].pressed) ||
+          (MENU_AXES[nav] !== undefined && axisActive(pad, MENU_AXES[nav])));
+        if(down && !menuState[nav]) presses.push(nav);
+        menuState[nav] = down;
+      }
+      return presses;
+    }
+    // First pad button or axis currently pressed, for rebinding capture
+    function capturePad(){
+      for(const pad of getPads()){
+        for(let i=0;i<pad.buttons.length;i++) if(pad.buttons[i].pressed) return {button: i};
+        for(let i=0;i<pad.axes.length;i++){
+          if(pad.axes[i] > AXIS_THRESHOLD) return {axis: `${i}+`};
+          if(pad.axes[i] < -AXIS_THRESHOLD) return {axis: `${i}-`};
+        }
+      }
+      return null;
+    }
+    // Take the current pad state as seen, so a button still held after
+    // rebinding doesn't fire its new action
+    function syncPads(){ pollGamepads(); }
+
+    function keyLabel(code){
+      if(KEY_LABELS[code]) return KEY_LABELS[code];
+      if(layoutMap && layoutMap.get(code)) return layoutMap.get(code).toUpperCase();
+      return code.replace(/^Key|^Digit/, '');
+    }
+    function describe(action){
+      const b = bindings[action];
+      const parts = b.keys.map(keyLabel);
+      for(const i of b.buttons) parts.push(`Pad ${PAD_BUTTON_LABELS[i] || i}`);
+      for(const a of b.axes) parts.push(`Pad stick ${a}`);
+      return parts.join(', ') || 'Unbound';
+    }
+
+    return {
+      get bindings(){ return bindings; },
+      actions: Object.keys(DEFAULT_BINDINGS),
+      label: action => ACTION_LABELS[action] || action,
+      actionsForKey,
+      isBoundKey,
+      bind,
+      reset,
+      pollGamepads,
+      pollMenu,
+      capturePad,
+      syncPads,
+      describe
+    };
+  }
+
+  // Touch gestures ------------------------------------------
+  // One finger on the upper half jumps for as long as it's held (keeping the
+  // variable-height jump); on the lower half, or after a downward swipe, it
+  // ducks until lifted. A quick two-finger tap fires onPause instead.
+  const SWIPE_DOWN_PX = 28;
+  const TWO_FINGER_TAP_MS = 300;
+  const TAP_SLOP_PX = 16;
+
+  // createGestureRecognizer(el, {jumpStart, jumpEnd, duckStart, duckEnd, pause, tap}) -> {destroy()}
+  function createGestureRecognizer(el, handlers){
+    const touches = new Map(); // identifier -> {role, x0, y0, moved}
+    let multi = null; // {t0, maxTouches, moved} while more than one finger is down
+    const call = (name)=>{ if(handlers[name]) handlers[name](); };
+
+    function release(t){
+      if(t.role === 'jump') call('jumpEnd');
+      else if(t.role === 'duck') call('duckEnd');
+      t.role = null;
+    }
+    function onStart(e){
+      e.preventDefault();
+      const rect = el.getBoundingClientRect();
+      for(const ct of Array.from(e.changedTouches)){
+        const lower = ct.clientY - rect.top > rect.height / 2;
+        touches.set(ct.identifier, {role: null, x0: ct.clientX, y0: ct.clientY, moved: false, lower});
+      }
+      if(touches.size > 1){
+        // a second finger turns this into a pause candidate; stop jumping/ducking
+        if(!multi) multi = {t0: performance.now(), maxTouches: touches.size, moved: false};
+        multi.maxTouches = Math.max(multi.maxTouches, touches.size);
+        for(const t of touches.values()) release(t);
+        return;
+      }
+      call('tap');
+      const t = touches.values().next().value;
+      t.role = t.lower ? 'duck' : 'jump';
+      call(t.role === 'duck' ? 'duckStart' : 'jumpStart');
+    }
+    function onMove(e){
+      e.preventDefault();
+      for(const ct of Array.from(e.changedTouches)){
+        const t = touches.get(ct.identifier);
+        if(!t) continue;
+        const dx = ct.clientX - t.x0, dy = ct.clientY - t.y0;
+        if(Math.hypot(dx, dy) > TAP_SLOP_PX){
+          t.moved = true;
+          if(multi) multi.moved = true;
+        }
+        if(t.role === 'jump' && dy > SWIPE_DOWN_PX && dy > Math.abs(dx)){
+          release(t);
+          t.role = 'duck';
+          call('duckStart');
+        }
+      }
+    }
+    function onEnd(e){
+      e.preventDefault();
+      for(const ct of Array.from(e.changedTouches)){
+        const t = touches.get(ct.identifier);
+        if(!t) continue;
+        release(t);
+        touches.delete(ct.identifier);
+      }
+      if(multi && touches.size === 0){
+        if(multi.maxTouches === 2 && !multi.moved && performance.now() - multi.t0 < TWO_FINGER_TAP_MS) call('pause');
+        multi = null;
+      }
+    }
+
+    el.addEventListener('touchstart', onStart, {passive:false});
+    el.addEventListener('touchmove', onMove, {passive:false});
+    el.addEventListener('touchend', onEnd, {passive:false});
+    el.addEventListener('touchcancel', onEnd, {passive:false});
+    return {
+      destroy(){
+        el.removeEventListener('touchstart', onStart);
+        el.removeEventListener('touchmove', onMove);
+        el.removeEventListener('touchend', onEnd);
+        el.removeEventListener('touchcancel', onEnd);
+      }
+    };
+  }
+
+  root.CactusInput = {DEFAULT_BINDINGS, createInputMap, createGestureRecognizer};
+})(typeof self !== 'undefined' ? self : this);
@@ -1,560 +1,1947 @@
 /* Cactus Runner - Chrome Dino–style endless runner */
-(function(){
+(function(root, factory){
+  'use strict';
+
+  // Public API ------------------------------------------------
+  // CactusRunner.create({canvas}) -> game, for pages embedding the game. The
+  // canvas's parent must also hold index.html's HUD markup, and there is one
+  // game per page (CactusRunner.game, null until created).
+  //   game.start()            play from the title screen, or start a fresh run
+  //   game.pause(), game.resume(), game.restart()
+  //   game.mute(muted = true)
+  //   game.getState()         -> {running, paused, gameOver, score, best,
+  //                               distance (m), time (s), speed (px/s), muted}
+  //   game.on(type, fn)       -> unsubscribe function; game.off(type, fn)
+  //   game.observe(count)     -> the live run as CactusAgent.observe() sees it
+  //   game.act(action)        'none' | 'jump' | 'duck', held until the next act()
+  // Events: 'score' {score}, as points land; 'newbest' {score, previous}, once per run as the
+  // old best falls; 'gameover' {score, best, newBest, distance, time, assisted};
+  // 'pause' {paused}. Replays and runs bent by the developer overlay send
+  // neither newbest nor gameover. Pause, resume and restart land on the next
+  // frame, like keyboard input; so do act()'s.
+  //
+  // Inside an iframe the events are also posted to the parent window as
+  // {source: 'cactus-runner', type, data}, after a 'ready' one. The parent
+  // drives the game with {target: 'cactus-runner', command, args, id}, where
+  // command is one of the methods above but on/off; getState and observe are
+  // answered with {source: 'cactus-runner', type: 'state' | 'observation', id,
+  // data}, and a command that is unknown, has bad arguments or fails with
+  // {source: 'cactus-runner', type: 'error', id, data: {command, message}}.
+  // Messages only go to and come from the parent's origin: ?embedOrigin=<origin>,
+  // else the one the browser reports. Without either there is no bridge.
+  let instance = null;
+  function create(opts = {}){
+    if(instance) throw new Error('CactusRunner: the page already has a game');
+    instance = factory(root, opts.canvas || document.getElementById('game'));
+    return instance;
+  }
+
+  // index.html's canvas opts in with data-autostart; pages embedding the game
+  // call CactusRunner.create() themselves
+  root.CactusRunner = {create, get game(){ return instance; }};
+  const autoCanvas = document.querySelector('canvas[data-autostart]');
+  if(autoCanvas) create({canvas: autoCanvas});
+})(typeof self !== 'undefined' ? self : this, function(root, canvas){
   'use strict';
 
   // DOM ------------------------------------------------------
-  const canvas = document.getElementById('game');
+  const canvasWrap = canvas.parentElement;
   const ctx = canvas.getContext('2d');
   const hud = document.getElementById('hud');
   const bestLabel = document.getElementById('bestLabel');
   const muteBtn = document.getElementById('muteBtn');
-  const bannerPause = document.getElementById('bannerPause');
+  const fullscreenBtn = document.getElementById('fullscreenBtn');
   const bannerGameOver = document.getElementById('bannerGameOver');
+  const controlsBtn = document.getElementById('controlsBtn');
+  const pauseBtn = document.getElementById('pauseBtn');
+  const statsBtn = document.getElementById('statsBtn');
+  const statsPanel = document.getElementById('statsPanel');
+  const leaderboardList = document.getElementById('leaderboardList');
+  const statsList = document.getElementById('statsList');
+  const closeStatsBtn = document.getElementById('closeStatsBtn');
+  const initialsForm = document.getElementById('initialsForm');
+  const initialsInput = document.getElementById('initialsInput');
+  const rankLabel = document.getElementById('rankLabel');
+  const forgetGhostBtn = document.getElementById('forgetGhostBtn');
+  const controlsPanel = document.getElementById('controlsPanel');
+  const bindingList = document.getElementById('bindingList');
+  const resetBindingsBtn = document.getElementById('resetBindingsBtn');
+  const closeControlsBtn = document.getElementById('closeControlsBtn');
+  const volumeInputs = Array.from(document.querySelectorAll('.volume-input'));
+  const menuEl = document.getElementById('menu');
+  const playBtn = document.getElementById('playBtn');
+  const menuStatsBtn = document.getElementById('menuStatsBtn');
+  const resumeBtn = document.getElementById('resumeBtn');
+  const menuRestartBtn = document.getElementById('menuRestartBtn');
+  const menuControlsBtn = document.getElementById('menuControlsBtn');
+  const difficultyInputs = Array.from(document.querySelectorAll('input[name="difficulty"]'));
+  const difficultyNote = document.getElementById('difficultyNote');
+  const controlsNote = document.getElementById('controlsNote');
+  const skinChoices = document.getElementById('skinChoices');
+  const skinNote = document.getElementById('skinNote');
+  for(const id in CactusSkins.SKINS) addSkinChoice(id, CactusSkins.SKINS[id].label);
+  const settingInputs = Array.from(document.querySelectorAll('[data-setting]'));
+  const gameSpeedLabel = document.getElementById('gameSpeedLabel');
+  const announcer = document.getElementById('announcer');
+  const shareBtn = document.getElementById('shareBtn');
+  const saveClipBtn = document.getElementById('saveClipBtn');
+
+  // Constants -----------------------------------------------
+  const {FIXED_DT} = CactusSim.constants;
+  const {CACTUS_KINDS, CACTUS_PITCH, BIRD_PARTS, CHARACTER, PLAYER_POSES, PIT_DEPTH} = CactusSim.shapes;
+  const ROCK_COLOR = '#8a7663';
+  const WEED_COLOR = '#b08a4e';
+  const maxFrameDt = 0.25; // longer stalls drop time instead of spiralling
+  const PX_PER_METER = 10; // for displaying worldX distances
 
-  // DPR ------------------------------------------------------
-  const CSS_WIDTH = 720;
-  const CSS_HEIGHT = 300;
-  function applyDpr(){
-    const dpr = Math.min(2, Math.max(1, window.devicePixelRatio || 1));
-    canvas.style.width = CSS_WIDTH + 'px';
-    canvas.style.height = CSS_HEIGHT + 'px';
-    canvas.width = Math.floor(CSS_WIDTH * dpr);
-    canvas.height = Math.floor(CSS_HEIGHT * dpr);
-    ctx.setTransform(dpr,0,0,dpr,0,0); // scale logical pixels
+  // World colours come from the biome's environment at the current distance
+  // (themes.js); Settings → High contrast swaps in this fixed palette.
+  // cactus/bird/rock/weed/pit null keep each obstacle's own colour.
+  const CONTRAST_PALETTE = {
+    sky: ['#ffffff', '#ffffff', '#ffffff'], far: '#000000', near: '#000000', ground: '#000000',
+    groundLines: 'rgba(255,255,255,0.6)', hud: '#000000', hudDim: '#000000', sun: 0, moon: 0, stars: 0,
+    cactus: '#000000', bird: '#7a0000', rock: '#000000', weed: '#7a0000', pit: '#ffffff', layers: false
+  };
+  let palette = null; // set by updatePalette() each frame
+  function updatePalette(){
+    if(settings.highContrast){ palette = CONTRAST_PALETTE; return; }
+    palette = CactusThemes.environmentAt(CactusThemes.BIOMES[settings.biome], interp(state.prevWorldX, state.worldX));
+    palette.layers = true;
   }
-  applyDpr();
-  window.addEventListener('resize', applyDpr);
 
-  // Constants -----------------------------------------------
-  const groundY = CSS_HEIGHT - 60;
-  const gravity = 2400; // px/s^2
-  const initialJumpVY = -780; // px/s
-  const extraJumpAccel = -gravity * 0.45;
-  const maxHoldJumpSec = 0.12;
-  const minSpeed = 320; // px/s
-  const maxSpeed = 560; // px/s
-  const accelPerSec = 16; // small acceleration
-  const spawnBaseMin = 0.65; // base spawn time at min speed
-  const spawnBaseMax = 1.15;
-  const clampDt = 1/20; // 50ms
-
-  // World state ---------------------------------------------
-  const state = {
-    running: true,
-    paused: false,
-    gameOver: false,
-    muted: false,
-    time: 0,
-    dpr: Math.min(2, Math.max(1, window.devicePixelRatio || 1)),
-    worldX: 0,
-    speed: minSpeed,
-    score: 0,
-    best: Number(localStorage.getItem('cactusRunnerBest')||0),
-    nextSpawnT: 0,
-    entities: [], // obstacles + birds
-    // player
-    player: {
-      x: 90,
-      y: groundY,
-      vx: 0,
-      vy: 0,
-      width: 46,
-      height: 92,
-      ducking: false,
-      grounded: true,
-      jumpHeld: false,
-      jumpHoldTime: 0,
-      animTime: 0,
-      hit: false,
-      sprite: 'run', // 'run'|'jump'|'duck'|'hit'
-      facing: 1
+  // Viewport -------------------------------------------------
+  // The world is CSS_WIDTH x CSS_HEIGHT logical px. It is scaled to fill the
+  // canvas width; a taller canvas shows more sky above it, a wider one is
+  // letterboxed left and right. The backing store follows devicePixelRatio,
+  // capped by total pixels rather than by ratio.
+  const {WORLD_WIDTH: CSS_WIDTH, WORLD_HEIGHT: CSS_HEIGHT, groundY} = CactusSim.constants;
+  const MAX_BACKING_PIXELS = 3840 * 2160;
+  const view = {cssW: CSS_WIDTH, cssH: CSS_HEIGHT, dpr: 1, scale: 1, offsetX: 0, offsetY: 0};
+  function applyViewport(){
+    const rect = canvasWrap.getBoundingClientRect();
+    const cssW = Math.max(1, rect.width), cssH = Math.max(1, rect.height);
+    const ratio = window.devicePixelRatio || 1;
+    const dpr = Math.min(ratio, Math.sqrt(MAX_BACKING_PIXELS / (cssW * cssH)));
+    const scale = Math.min(cssW / CSS_WIDTH, cssH / CSS_HEIGHT);
+    Object.assign(view, {
+      cssW, cssH, dpr, scale,
+      offsetX: (cssW - CSS_WIDTH * scale) / 2,
+      offsetY: cssH - CSS_HEIGHT * scale // extra sky goes above the world
+    });
+    canvas.width = Math.round(cssW * dpr);
+    canvas.height = Math.round(cssH * dpr);
+    // sprites are rasterized for the on-screen size so they stay sharp
+    const res = Math.min(4, Math.max(1, Math.ceil(dpr * scale)));
+    if(!sprite || sprite.res !== res) sprite = skinSprite(res);
+    skyLayer.canvas.width = canvas.width;
+    skyLayer.canvas.height = canvas.height;
+    skyLayer.key = '';
+  }
+  // world -> device pixels; HUD-less passes can use the screen transform
+  function worldTransform(dx = 0, dy = 0, c = ctx){
+    const k = view.dpr * view.scale;
+    c.setTransform(k, 0, 0, k, view.dpr * view.offsetX + k * dx, view.dpr * view.offsetY + k * dy);
+  }
+  let sprite = null;
+  const skin = {id: 'classic', loaded: null, sheets: null}; // see applySkin()
+  const skyLayer = {canvas: document.createElement('canvas'), key: ''}; // see drawSky()
+  applyViewport();
+  if(window.ResizeObserver) new ResizeObserver(applyViewport).observe(canvasWrap);
+  else window.addEventListener('resize', applyViewport);
+  // moving the window to a screen with another pixel ratio doesn't resize it
+  function watchDpr(){
+    if(!window.matchMedia) return;
+    const mq = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    const onChange = ()=>{ mq.removeEventListener('change', onChange); applyViewport(); watchDpr(); };
+    mq.addEventListener('change', onChange);
+  }
+  watchDpr();
+
+  // Fullscreen covers the wrap so the HUD comes along; phones also try to
+  // lock landscape, which browsers only allow while fullscreen.
+  const fullscreenApi = canvasWrap.requestFullscreen ? 'requestFullscreen' : canvasWrap.webkitRequestFullscreen ? 'webkitRequestFullscreen' : null;
+  function fullscreenElement(){ return document.fullscreenElement || document.webkitFullscreenElement || null; }
+  function toggleFullscreen(){
+    if(!fullscreenApi) return;
+    if(fullscreenElement()){
+      (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+      return;
     }
+    Promise.resolve(canvasWrap[fullscreenApi]()).then(()=>{
+      if(screen.orientation && screen.orientation.lock) return screen.orientation.lock('landscape');
+    }).catch(()=>{}); // refused or no orientation lock: stay as we are
+  }
+  function onFullscreenChange(){
+    fullscreenBtn.setAttribute('aria-pressed', String(!!fullscreenElement()));
+    applyViewport();
+  }
+  fullscreenBtn.hidden = !fullscreenApi;
+  fullscreenBtn.addEventListener('click', toggleFullscreen);
+  document.addEventListener('fullscreenchange', onFullscreenChange);
+  document.addEventListener('webkitfullscreenchange', onFullscreenChange);
+
+  // Simulation ----------------------------------------------
+  // World state, physics, spawning and collision live in sim.js; this file
+  // only feeds it input and presents its state and events.
+  const params = new URLSearchParams(location.search);
+  const urlSeed = params.get('seed');
+  const sim = CactusSim.createSimulation(urlSeed !== null ? {seed: Number(urlSeed)} : {});
+  const state = sim.state;
+
+  // Settings (difficulty preset, visual and accessibility options), persisted
+  const SETTINGS_KEY = 'cactusRunnerSettings';
+  const DEFAULT_SETTINGS = {
+    difficulty: 'normal',
+    ghost: true,
+    hitboxes: false,
+    biome: 'desert',
+    highContrast: false,
+    reducedMotion: !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches),
+    autoDuck: false,
+    announce: false,
+    gameSpeed: 1, // 0.5..1, scales how fast sim time passes
+    perfMeter: false,
+    recordClips: false,
+    skin: 'classic'
   };
-  bestLabel.textContent = `Best: ${String(state.best).padStart(5,'0')}`;
+  const settings = loadSettings();
+  function loadSettings(){
+    const out = Object.assign({}, DEFAULT_SETTINGS);
+    try {
+      const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+      if(saved && saved.v === 1){
+        for(const key in DEFAULT_SETTINGS){
+          if(typeof saved[key] === typeof DEFAULT_SETTINGS[key]) out[key] = saved[key];
+        }
+        if(!(out.difficulty in CactusSim.PRESETS)) out.difficulty = DEFAULT_SETTINGS.difficulty;
+        if(!(out.biome in CactusThemes.BIOMES)) out.biome = DEFAULT_SETTINGS.biome;
+        out.gameSpeed = Math.min(1, Math.max(0.5, out.gameSpeed));
+      }
+    } catch(e){ console.warn('Ignoring unreadable settings'); }
+    return out;
+  }
+  function saveSettings(){
+    try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(Object.assign({v: 1}, settings))); }
+    catch(e){ console.warn('Settings not saved:', e.message); }
+  }
 
-  // Spritesheet generation ----------------------------------
-  // Create a procedural shaded cactus character with cowboy hat
-  const sprite = createCactusSprites();
+  // ?profile=<name> swaps in profiles/<name>.json once it loads and validates;
+  // otherwise the difficulty preset picks the profile
+  const profileName = params.get('profile');
+  if(!profileName) sim.config.profile = CactusSim.PRESETS[settings.difficulty];
+  if(profileName){
+    fetch(`./profiles/${encodeURIComponent(profileName)}.json`)
+      .then((res)=>{
+        if(!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      })
+      .then((text)=>{
+        sim.config.profile = CactusSim.loadProfile(text);
+        sim.restart(urlSeed !== null ? Number(urlSeed) : undefined);
+        if(!ui.running) resumeSession();
+      })
+      .catch((err)=>{ console.error(`Difficulty profile "${profileName}" not loaded:`, err.message); });
+  }
+  // ?skin=<manifest URL> plays a spritesheet from anywhere that allows CORS,
+  // in place of the Character setting and without saving it
+  const skinUrl = params.get('skin');
+
+  // Presentation state --------------------------------------
+  const SCORING = CactusSim.scoring.SCORING_VERSION;
+  const history = CactusHistory.createRunHistory({storage: localStorage, scoring: SCORING});
+  const ui = {
+    running: false, // false until Play is chosen on the title screen
+    best: history.best(),
+    lastRunId: 0, // history id of the run awaiting initials
+    newBest: false // the last run beat the best before it
+  };
+  const ghosts = CactusGhost.createGhostStore(localStorage, {scoring: SCORING});
+  let ghostRecorder = CactusGhost.createGhostRecorder();
+  bestLabel.textContent = `Best: ${String(ui.best).padStart(5,'0')}`;
 
   // Audio ----------------------------------------------------
-  let audioCtx = null;
-  let audioReady = false;
-  function ensureAudio(){
-    if(state.muted) return;
-    if(audioCtx && audioCtx.state === 'running'){ audioReady = true; return; }
-    if(!audioCtx){
-      try { audioCtx = new (window.AudioContext || window.webkitAudioContext)(); }
-      catch(e){ console.warn('WebAudio unsupported'); return; }
-    }
-    if(audioCtx.state === 'suspended'){
-      audioCtx.resume().then(()=>{ audioReady = true; }).catch(()=>{});
-    } else { audioReady = true; }
-  }
-  function beep({type='square', freq=440, duration=0.08, volume=0.15, when=0}){
-    if(state.muted) return;
-    ensureAudio();
-    if(!audioCtx || !audioReady) return;
-    const t = audioCtx.currentTime + when;
-    const o = audioCtx.createOscillator();
-    const g = audioCtx.createGain();
-    o.type = type;
-    o.frequency.value = freq;
-    g.gain.value = volume;
-    o.connect(g).connect(audioCtx.destination);
-    const attack = 0.005;
-    const decay = Math.max(0, duration - attack);
-    g.gain.setValueAtTime(0, t);
-    g.gain.linearRampToValueAtTime(volume, t+attack);
-    g.gain.exponentialRampToValueAtTime(0.0001, t+attack+decay);
-    o.start(t);
-    o.stop(t+attack+decay+0.02);
-  }
+  // Cues go through the engine's sfx bus; the music bus carries a procedural
+  // track whose tempo follows the run speed (see updateMusic()).
+  const audio = CactusAudio.createAudioEngine({storage: localStorage});
+  const ensureAudio = audio.unlock;
+  const beep = (o)=>{ if(ui.running) audio.tone(o); }; // the attract demo plays silently
   const sfx = {
-    jump(){ beep({type:'square', freq:620, duration:0.12, volume:0.18}); },
-    score(){ beep({type:'triangle', freq:880, duration:0.09, volume:0.17}); },
+    jump(){ beep({type:'triangle', freq:520, slide:760, duration:0.11, volume:0.14}); },
+    doubleJump(){ beep({type:'triangle', freq:700, slide:1040, duration:0.1, volume:0.13}); },
+    land(){ beep({type:'sine', freq:140, slide:90, duration:0.06, volume:0.12}); },
+    duck(){ beep({type:'sine', freq:330, slide:220, duration:0.07, volume:0.1}); },
+    score(){ beep({type:'triangle', freq:880, duration:0.09, volume:0.13}); },
+    nearMiss(){
+      beep({type:'sine', freq:1200, slide:1600, duration:0.08, volume:0.08});
+      beep({type:'sine', freq:1600, duration:0.06, volume:0.06, when:0.06});
+    },
+    milestone(){
+      beep({type:'square', freq:784, duration:0.08, volume:0.08});
+      beep({type:'square', freq:1047, duration:0.08, volume:0.08, when:0.08});
+      beep({type:'triangle', freq:1568, duration:0.2, volume:0.12, when:0.16});
+    },
+    comboBreak(){ beep({type:'sine', freq:392, slide:262, duration:0.14, volume:0.08}); },
+    newBest(){
+      beep({type:'triangle', freq:523, duration:0.1, volume:0.14});
+      beep({type:'triangle', freq:659, duration:0.1, volume:0.14, when:0.1});
+      beep({type:'triangle', freq:784, duration:0.1, volume:0.14, when:0.2});
+      beep({type:'triangle', freq:1047, duration:0.22, volume:0.14, when:0.3});
+    },
     hit(){
-      beep({type:'sine', freq:220, duration:0.12, volume:0.22});
-      beep({type:'sine', freq:160, duration:0.16, volume:0.2, when:0.08});
-    }
+      beep({type:'sine', freq:220, slide:150, duration:0.14, volume:0.2});
+      beep({type:'sine', freq:160, slide:90, duration:0.2, volume:0.18, when:0.08});
+    },
+    coin(){
+      beep({type:'triangle', freq:988, duration:0.06, volume:0.12});
+      beep({type:'triangle', freq:1319, duration:0.1, volume:0.12, when:0.05});
+    },
+    shield(){ beep({type:'sine', freq:523, duration:0.25, volume:0.16}); beep({type:'sine', freq:784, duration:0.25, volume:0.12, when:0.06}); },
+    shieldBreak(){ beep({type:'triangle', freq:330, slide:200, duration:0.16, volume:0.14}); beep({type:'triangle', freq:247, slide:150, duration:0.2, volume:0.12, when:0.07}); },
+    slowmo(){ beep({type:'sine', freq:440, slide:330, duration:0.35, volume:0.14}); },
+    doubleJumpPickup(){ beep({type:'triangle', freq:660, duration:0.07, volume:0.12}); beep({type:'triangle', freq:880, duration:0.07, volume:0.12, when:0.07}); },
+    magnet(){ beep({type:'triangle', freq:300, slide:600, duration:0.14, volume:0.14}); },
+    expire(){ beep({type:'triangle', freq:392, duration:0.08, volume:0.09}); beep({type:'triangle', freq:294, duration:0.12, volume:0.09, when:0.07}); }
   };
+  // Obstacle announcements (Settings → Announce obstacles): a cue as each
+  // obstacle spawns off-screen, about two seconds out. Cacti are low thumps,
+  // one per cactus; birds are chirps pitched by height; pits fall away,
+  // tumbleweeds rattle and ledges drone. Screen readers also get the
+  // obstacle and the move that clears it.
+  const BIRD_CUE_HZ = {high: 1175, mid: 831, low: 587};
+  const CLEAR_WORDS = {jump: 'jump', duck: 'duck', none: 'keep running'};
+  const OBSTACLE_WORDS = {pit: 'Pit', tumbleweed: 'Tumbleweed', overhang: 'Ledge'};
+  function announce(e){
+    if(e.type === 'bird'){
+      const f = BIRD_CUE_HZ[e.height];
+      beep({type:'sine', freq: f * 0.8, slide: f, duration:0.12, volume:0.16});
+      beep({type:'sine', freq: f * 0.8, slide: f, duration:0.12, volume:0.16, when:0.14});
+    } else if(e.type === 'pit'){
+      beep({type:'triangle', freq:330, slide:110, duration:0.3, volume:0.18});
+    } else if(e.type === 'tumbleweed'){
+      for(let i=0;i<3;i++) beep({type:'sawtooth', freq:260 + i*40, duration:0.04, volume:0.08, when:i*0.07});
+    } else if(e.type === 'overhang'){
+      beep({type:'square', freq:147, duration:0.35, volume:0.1});
+    } else {
+      for(let i=0;i<e.count;i++) beep({type:'triangle', freq:196, slide:150, duration:0.08, volume:0.2, when:i*0.11});
+    }
+    const what = e.type === 'bird' ? `Bird, ${e.height}` : e.type === 'cactusCluster' ? `Cactus ×${e.count}` : OBSTACLE_WORDS[e.type];
+    announcer.textContent = `${what}: ${CLEAR_WORDS[e.clear]}`;
+  }
+  const PICKUP_SFX = {coin: 'coin', shield: 'shield', slowmo: 'slowmo', doubleJump: 'doubleJumpPickup', magnet: 'magnet'};
+
+  // Simulation events ----------------------------------------
+  sim.on('jump', (e)=>{ if(e && e.double) sfx.doubleJump(); else sfx.jump(); });
+  sim.on('land', ()=>{ sfx.land(); });
+  sim.on('duck', ()=>{ sfx.duck(); });
+  sim.on('nearMiss', ()=>{ sfx.nearMiss(); });
+  sim.on('spawn', ({entity})=>{ if(settings.announce && ui.running && !state.gameOver) announce(entity); });
+  sim.on('pickup', ({kind})=>{ sfx[PICKUP_SFX[kind]](); });
+  sim.on('shieldBreak', ()=>{ sfx.shieldBreak(); });
+  sim.on('effectEnd', ()=>{ sfx.expire(); });
+  sim.on('score', ({score, points})=>{
+    // points arrive in steps, so the old best falls when a step crosses it
+    const passed = score > ui.best && score - points <= ui.best;
+    if(ui.best > 0 && passed && !playback) sfx.newBest();
+    if(!ui.running) return;
+    emitHost('score', {score});
+    if(passed && !playback && !sim.recording.debug && !dev.tainted) emitHost('newbest', {score, previous: ui.best});
+  });
+  sim.on('combo', ({combo, multiplier})=>{
+    if(combo > 1 && combo % CactusSim.scoring.COMBO_STEP === 0 && multiplier > 1) sfx.score(); // the multiplier steps up
+  });
+  sim.on('comboBreak', ({combo})=>{ if(combo >= CactusSim.scoring.COMBO_STEP) sfx.comboBreak(); });
+  sim.on('milestone', ({score})=>{
+    sfx.milestone();
+    juice.milestone = MILESTONE_FLASH;
+    if(settings.announce && ui.running) announcer.textContent = `${score} points`;
+  });
+  sim.on('pause', ({paused})=>{
+    // panels pause the game too; they keep focus over the pause menu
+    if(paused) menu.open('pause', controlsPanel.hidden && statsPanel.hidden);
+    else menu.close();
+    emitHost('pause', {paused});
+  });
+  sim.on('step', ()=>{
+    if(!playback && ui.running) ghostRecorder.sample(state, CactusSim.playerPose(state), CactusSim.groundAt(state, state.player.x));
+  });
+  // Juice ---------------------------------------------------
+  // Dust, trails, bursts and popups are pooled particles in world space;
+  // shake and flash decay over real time. Reduced motion turns all of it off.
+  const particles = CactusParticles.createParticleSystem({capacity: 256});
+  const juice = {shake: 0, flash: 0, trail: 0, milestone: 0};
+  const DUST = {gravity: 60, drag: 3, life: 0.45, size: 3, shape: 'circle'};
+  function juiceOn(){ return !settings.reducedMotion; }
+  function feet(){ return {x: state.player.x, y: CactusSim.groundAt(state, state.player.x) - 2}; }
+  function dust(count, spread){
+    const {x, y} = feet();
+    particles.burst(count, Object.assign({x, y, vx: -state.speed * 0.3, color: palette.ground}, DUST),
+      {angle: -Math.PI/2, spread, speed: [30, 90]});
+  }
+  function popup(text, x, y, color){
+    particles.emit({x, y, vy: -50, drag: 1.5, life: 0.8, size: 18, shape: 'text', text, color});
+  }
+  sim.on('jump', ()=>{ if(juiceOn() && state.player.y >= feet().y + 1) dust(6, Math.PI * 0.8); });
+  sim.on('land', ()=>{ if(juiceOn()) dust(8, Math.PI * 1.2); });
+  sim.on('score', ({points, reason, entity})=>{
+    if(!juiceOn()) return;
+    // obstacles score off-screen, so their points rise from the player instead
+    if(reason === 'coin') popup(`+${points}`, entity.x, entity.y - 14, '#c99a06');
+    else if(reason === 'clear') popup(`+${points}`, state.player.x, state.player.y - 110, palette.hud);
+  });
+  sim.on('nearMiss', ({points})=>{ if(juiceOn()) popup(`Close! +${points}`, state.player.x + 30, state.player.y - 130, '#eb5757'); });
+  sim.on('shieldBreak', ({entity})=>{
+    if(!juiceOn()) return;
+    particles.burst(16, {x: entity.x + entity.w/2, y: state.player.y - 46, life: 0.6, size: 4, color: '#2f80ed', gravity: 300}, {spread: Math.PI * 2, speed: [80, 220]});
+    juice.shake = Math.max(juice.shake, 0.15);
+  });
+  sim.on('step', ()=>{
+    // sand kicked up behind the running feet
+    const p = state.player;
+    if(!juiceOn() || !p.grounded || state.gameOver) return;
+    juice.trail -= FIXED_DT;
+    if(juice.trail > 0) return;
+    juice.trail = 0.06;
+    const {x, y} = feet();
+    particles.emit(Object.assign({}, DUST, {x: x - 14, y, vx: -state.speed * 0.5 - 20, vy: -20 - Math.random() * 30, size: 2,
+      life: 0.35, color: palette.ground}));
+  });
+  sim.on('hit', ({entity})=>{
+    if(!juiceOn()) return;
+    const centred = entity.type === 'bird' || entity.type === 'tumbleweed';
+    const ex = entity.x + (centred ? 0 : entity.w/2);
+    const ey = entity.type === 'cactusCluster' ? entity.y - entity.h/2 : entity.y;
+    if(entity.type === 'bird'){
+      particles.burst(18, {x: ex, y: ey, life: 1.2, size: 4, color: entity.color, shape: 'feather', gravity: 90, drag: 2}, {spread: Math.PI * 2, speed: [60, 200]});
+    } else if(entity.type === 'pit'){
+      // a pit isn't hit: sand trickles in after the player
+      const {x, y} = feet();
+      particles.burst(14, Object.assign({x, y, color: palette.ground}, DUST, {gravity: 400}), {angle: Math.PI/2, spread: Math.PI * 0.8, speed: [20, 80]});
+    } else {
+      const color = entity.type === 'tumbleweed' ? WEED_COLOR : entity.type === 'overhang' ? ROCK_COLOR : CACTUS_KINDS[0].color;
+      particles.burst(12, {x: ex, y: ey, life: 0.7, size: 4, color, gravity: 500}, {spread: Math.PI, speed: [80, 220]});
+    }
+    juice.shake = 0.35;
+    juice.flash = 1;
+  });
+  function updateJuice(dt){
+    particles.update(dt);
+    juice.milestone = Math.max(0, juice.milestone - dt);
+    juice.shake = Math.max(0, juice.shake - dt);
+    juice.flash = Math.max(0, juice.flash - dt * 4);
+  }
+  // screen-space offset for the current shake, in world px
+  function shakeOffset(){
+    if(!juice.shake) return [0, 0];
+    const m = 10 * juice.shake;
+    return [(Math.random() * 2 - 1) * m, (Math.random() * 2 - 1) * m];
+  }
+
+  sim.on('hit', ({entity})=>{
+    if(!ui.running) return; // the attract demo
+    sfx.hit();
+    bannerGameOver.style.display = 'block';
+    if(playback) return; // replays don't count as runs
+    if(sim.recording.debug || dev.tainted) return; // nor do runs bent by the developer overlay
+    ghosts.offerBest(ghostRecorder.finish(state, {profile: sim.config.profile.name, scoring: SCORING}));
+    const death = {type: entity.type === 'cactusCluster' ? 'cactus' : entity.type, height: entity.height || null};
+    const assisted = sim.config.autoDuck || settings.gameSpeed < 1;
+    const {run, rank} = history.add({
+      score: state.score,
+      distance: state.worldX,
+      duration: state.time,
+      topSpeed: state.topSpeed,
+      death,
+      assisted
+    });
+    if(rank){
+      ui.lastRunId = run.id;
+      rankLabel.textContent = String(rank);
+      initialsInput.value = '';
+      initialsForm.hidden = false;
+      initialsInput.focus();
+    }
+    const pBest = Math.max(ui.best, state.score);
+    const newBest = ui.newBest = pBest !== ui.best;
+    if(newBest){
+      ui.best = pBest;
+      bestLabel.textContent = `Best: ${String(ui.best).padStart(5,'0')}`;
+    }
+    emitHost('gameover', {score: state.score, best: ui.best, newBest, distance: Math.round(state.worldX / PX_PER_METER),
+      time: state.time, assisted});
+  });
+
+  // Sharing --------------------------------------------------
+  // Game over offers a PNG score card and, with Settings → Record clips on,
+  // a WebM of the last few seconds; both go to the share sheet or a download.
+  const clipsSupported = CactusShare.clipsSupported(canvas);
+  const clipRecorder = clipsSupported ? CactusShare.createClipRecorder(canvas, {seconds: 6}) : null;
+  let clip = null; // the last run's clip, a Blob
+  function startClip(){
+    clip = null;
+    saveClipBtn.hidden = true;
+    if(!clipRecorder) return;
+    if(settings.recordClips) clipRecorder.start();
+    else clipRecorder.stop();
+  }
+  const CLIP_TAIL_MS = 1000; // keep recording through the crash
+  sim.on('hit', ()=>{
+    if(!clipRecorder || !ui.running) return;
+    if(!settings.recordClips){ clipRecorder.stop(); return; }
+    const run = sim.recording;
+    setTimeout(()=>{
+      if(run !== sim.recording) return; // restarted already
+      clipRecorder.finish().then((blob)=>{
+        if(!blob || run !== sim.recording) return;
+        clip = blob;
+        saveClipBtn.hidden = false;
+      });
+    }, CLIP_TAIL_MS);
+  });
+  function shareCard(){
+    const f = getFrame('run', 0);
+    const card = CactusShare.composeCard({
+      frame: canvas,
+      character: {image: sprite.image, sx: f.sx, sy: f.sy, sw: f.sw, sh: f.sh, dw: f.dw, dh: f.dh},
+      score: state.score,
+      best: ui.best,
+      newBest: ui.newBest,
+      distance: Math.round(state.worldX / PX_PER_METER),
+      date: new Date()
+    });
+    CactusShare.toBlob(card)
+      .then(blob => CactusShare.share(blob, `cactus-runner-${state.score}.png`, `I scored ${state.score} in Cactus Runner!`))
+      .catch((err)=>{ console.error('Score card not shared:', err.message); });
+  }
+  function shareClip(){
+    if(!clip) return;
+    CactusShare.share(clip, `cactus-runner-${state.score}.webm`, `My Cactus Runner run: ${state.score}`)
+      .catch((err)=>{ console.error('Clip not shared:', err.message); });
+  }
+  shareBtn.addEventListener('click', shareCard);
+  saveClipBtn.addEventListener('click', shareClip);
+  const recordClipsInput = settingInputs.find(input => input.dataset.setting === 'recordClips');
+  if(recordClipsInput && !clipsSupported){
+    recordClipsInput.disabled = true;
+    recordClipsInput.parentElement.title = 'This browser cannot record the canvas';
+  }
+
+  // Replay ---------------------------------------------------
+  const pendingInputs = []; // actions queued by DOM events for the next step
+  let playback = null; // replay player while a loaded replay drives the run
+  const agentMapper = CactusAgent.createActionMapper(); // game.act() picks to inputs
+
+  function control(action){
+    if(action === 'togglePause' && holdResume()) return;
+    // live input is ignored during playback; pausing only freezes the clock
+    if(playback && action !== 'togglePause') return;
+    pendingInputs.push(action);
+  }
+  function startPlayback(data){
+    // replays play back on their own profile, unless ?profile= pins one
+    const profile = CactusSim.replayProfile(data);
+    restart(profile);
+    if(profile !== sim.config.profile){
+      console.warn(`Replay was recorded with the "${profile.name}" profile; playback may diverge`);
+    }
+    playback = CactusSim.createReplayPlayer(sim, data, {profile: sim.config.profile});
+  }
+  function downloadJson(data, filename){
+    CactusShare.download(new Blob([JSON.stringify(data)], {type:'application/json'}), filename);
+  }
+  function saveReplay(){
+    const data = playback ? playback.data : sim.recording;
+    downloadJson(data, `cactus-runner-${data.seed}.json`);
+  }
+  function saveGhost(){
+    const ghost = ghosts.best;
+    if(ghost) downloadJson(ghost, `cactus-runner-ghost-${ghost.score}.json`);
+  }
 
   // Input ----------------------------------------------------
+  // Keys and gamepad buttons resolve to abstract actions through the input map
+  const inputMap = CactusInput.createInputMap({storage: localStorage});
   const heldKeys = new Set();
+  let capture = null; // {action, row} while the controls panel waits for an input
+
+  function onAction(action, down){
+    if(capture || !controlsPanel.hidden || !statsPanel.hidden) return;
+    if(menu.isOpen){
+      // only pause (resume), mute and fullscreen work from a menu
+      if(down && action === 'pause' && menu.screen === 'pause') control('togglePause');
+      else if(down && action === 'mute') toggleMute();
+      else if(down && action === 'fullscreen') toggleFullscreen();
+      return;
+    }
+    switch(action){
+      case 'jump':
+        if(down){ control('startJump'); ensureAudio(); }
+        else control('endJump');
+        break;
+      case 'duck':
+        control(down ? 'startDuck' : 'endDuck'); break;
+      case 'pause':
+        if(down) control('togglePause'); break;
+      case 'restart':
+        if(down && state.gameOver) restart(); break;
+      case 'mute':
+        if(down) toggleMute(); break;
+      case 'saveReplay':
+        if(down && state.gameOver) saveReplay(); break;
+      case 'saveGhost':
+        if(down && state.gameOver) saveGhost(); break;
+      case 'fullscreen':
+        if(down) toggleFullscreen(); break;
+    }
+  }
+  function isTyping(e){ return e.target && e.target.tagName === 'INPUT'; }
   function onKeyDown(e){
-    if(['ArrowUp','ArrowDown','ArrowLeft','ArrowRight','Space'].includes(e.code)) e.preventDefault();
+    if(isTyping(e)) return;
+    if(!capture && onDevKey(e)) return;
+    if(capture){
+      e.preventDefault();
+      if(e.code !== 'Escape') inputMap.bind(capture.action, {key: e.code});
+      endCapture();
+      return;
+    }
+    if(menu.isOpen && controlsPanel.hidden && statsPanel.hidden && menu.handleKey(e)) return;
+    // Enter/Space/Left/Right keep their native meaning on focused menu controls
+    if(menu.isOpen && ['Enter','Space','ArrowLeft','ArrowRight'].includes(e.code) && menuEl.contains(e.target)) return;
+    if(['ArrowUp','ArrowDown','ArrowLeft','ArrowRight','Space'].includes(e.code) || inputMap.isBoundKey(e.code)) e.preventDefault();
+    // one-shot actions ignore auto-repeat; jump/duck keep the old repeat behaviour
+    const repeat = e.repeat || heldKeys.has(e.code);
     heldKeys.add(e.code);
-
-    switch(e.code){
-      case 'KeyW': case 'ArrowUp': case 'Space':
-        startJump(); ensureAudio(); break;
-      case 'ArrowDown': case 'KeyS':
-        startDuck(); break;
-      case 'KeyP':
-        togglePause(); break;
-      case 'Enter':
-        if(state.gameOver) restart(); break;
+    for(const action of inputMap.actionsForKey(e.code)){
+      if(repeat && action !== 'jump' && action !== 'duck') continue;
+      onAction(action, true);
     }
   }
   function onKeyUp(e){
     heldKeys.delete(e.code);
-    switch(e.code){
-      case 'KeyW': case 'ArrowUp': case 'Space':
-        endJump(); break;
-      case 'ArrowDown': case 'KeyS':
-        endDuck(); break;
+    if(isTyping(e)) return;
+    for(const action of inputMap.actionsForKey(e.code)) onAction(action, false);
+  }
+  function pollGamepads(){
+    if(capture){
+      const input = inputMap.capturePad();
+      if(input){ inputMap.bind(capture.action, input); endCapture(); inputMap.syncPads(); }
+      return;
+    }
+    // game actions first, so a button that closes the menu isn't also a jump
+    const menuOpen = menu.isOpen && controlsPanel.hidden && statsPanel.hidden;
+    const menuNav = inputMap.pollMenu();
+    for(const [action, down] of inputMap.pollGamepads()) onAction(action, down);
+    if(menuOpen) for(const nav of menuNav) menu.handleNav(nav);
+  }
+  function onPointerDown(){ ensureAudio(); if(state.gameOver) restart(); else control('startJump'); }
+  function onPointerUp(){ control('endJump'); }
+
+  // Controls panel: list actions and capture the next key or pad input to rebind
+  function renderBindings(){
+    renderControlsNote();
+    bindingList.textContent = '';
+    for(const action of inputMap.actions){
+      const row = document.createElement('li');
+      const name = document.createElement('span');
+      name.className = 'binding-name';
+      name.textContent = inputMap.label(action);
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'binding-btn';
+      btn.dataset.action = action;
+      btn.textContent = inputMap.describe(action);
+      btn.setAttribute('aria-label', `${inputMap.label(action)}: ${inputMap.describe(action)}. Activate to rebind`);
+      btn.addEventListener('click', ()=>{ startCapture(action, btn); });
+      row.append(name, btn);
+      bindingList.appendChild(row);
+    }
+  }
+  function startCapture(action, btn){
+    capture = {action, btn};
+    btn.textContent = 'Press a key or pad button… (Esc cancels)';
+    inputMap.syncPads();
+  }
+  function endCapture(){
+    const btn = capture && capture.btn;
+    capture = null;
+    renderBindings();
+    if(btn){
+      // focus follows the rebuilt row for keyboard users
+      const idx = inputMap.actions.indexOf(btn.dataset.action);
+      const rows = bindingList.querySelectorAll('.binding-btn');
+      if(rows[idx]) rows[idx].focus();
+    }
+  }
+  function openControls(){
+    if(ui.running && !state.paused && !state.gameOver) control('togglePause');
+    renderBindings();
+    controlsPanel.hidden = false;
+    controlsBtn.setAttribute('aria-expanded', 'true');
+    const first = bindingList.querySelector('.binding-btn');
+    if(first) first.focus();
+  }
+  function closeControls(){
+    capture = null;
+    controlsPanel.hidden = true;
+    controlsBtn.setAttribute('aria-expanded', 'false');
+    (menu.isOpen ? menuControlsBtn : controlsBtn).focus();
+  }
+  // Leaderboard & stats panel ------------------------------------
+  function formatDistance(px){ return `${Math.round(px / PX_PER_METER)} m`; }
+  function formatDuration(sec){ return `${Math.floor(sec/60)}:${String(Math.floor(sec%60)).padStart(2,'0')}`; }
+  function renderStats(){
+    leaderboardList.textContent = '';
+    const top = history.leaderboard();
+    if(!top.length){
+      const li = document.createElement('li');
+      li.textContent = 'No runs yet';
+      leaderboardList.appendChild(li);
+    }
+    for(const r of top){
+      const li = document.createElement('li');
+      const date = r.date ? new Date(r.date).toLocaleDateString() : 'earlier';
+      li.textContent = `${r.initials || '---'}  ${String(r.score).padStart(5,'0')}  ${r.distance !== null ? formatDistance(r.distance) : ''}  ${date}${r.assisted ? '  (assisted)' : ''}`;
+      leaderboardList.appendChild(li);
+    }
+    const st = history.stats();
+    const killers = Object.entries(st.deaths).sort((a, b)=>b[1]-a[1])
+      .map(([cause, n])=>`${cause.replace('-', ' (')}${cause.includes('-') ? ')' : ''}: ${n}`).join(', ');
+    const rows = [
+      ['Runs', String(st.runs)],
+      ['Average score', st.averageScore.toFixed(1)],
+      ['Total distance', formatDistance(st.totalDistance)],
+      ['Time played', formatDuration(st.totalDuration)],
+      ['Best over time', st.progress.map(p => p.score).join(' → ') || '–'],
+      ['Deaths by obstacle', killers || '–']
+    ];
+    const shared = ghosts.active && ghosts.active !== ghosts.best ? ghosts.active : null;
+    if(shared) rows.push(['Racing ghost', `${shared.name || 'shared'} (${shared.score})`]);
+    forgetGhostBtn.hidden = !shared;
+    statsList.textContent = '';
+    for(const [k, v] of rows){
+      const dt = document.createElement('dt'); dt.textContent = k;
+      const dd = document.createElement('dd'); dd.textContent = v;
+      statsList.append(dt, dd);
     }
   }
-  function onPointerDown(){ startJump(); ensureAudio(); if(state.gameOver) restart(); }
-  function onPointerUp(){ endJump(); }
+  function openStats(){
+    if(ui.running && !state.paused && !state.gameOver) control('togglePause');
+    renderStats();
+    statsPanel.hidden = false;
+    statsBtn.setAttribute('aria-expanded', 'true');
+    closeStatsBtn.focus();
+  }
+  function closeStats(){
+    statsPanel.hidden = true;
+    statsBtn.setAttribute('aria-expanded', 'false');
+    if(menu.screen === 'title') menuStatsBtn.focus();
+    else if(menu.screen === 'pause') resumeBtn.focus();
+    else statsBtn.focus();
+  }
+  statsBtn.addEventListener('click', ()=>{ if(statsPanel.hidden) openStats(); else closeStats(); });
+  closeStatsBtn.addEventListener('click', closeStats);
+  statsPanel.addEventListener('keydown', (e)=>{
+    e.stopPropagation();
+    if(e.code === 'Escape') closeStats();
+  });
+
+  initialsForm.addEventListener('submit', (e)=>{
+    e.preventDefault();
+    history.setInitials(ui.lastRunId, initialsInput.value);
+    initialsForm.hidden = true;
+    initialsInput.blur();
+  });
+  forgetGhostBtn.addEventListener('click', ()=>{
+    ghosts.setShared(null);
+    renderStats();
+    closeStatsBtn.focus();
+  });
+
+  controlsBtn.addEventListener('click', ()=>{ if(controlsPanel.hidden) openControls(); else closeControls(); });
+  closeControlsBtn.addEventListener('click', closeControls);
+  resetBindingsBtn.addEventListener('click', ()=>{ inputMap.reset(); renderBindings(); });
+  controlsPanel.addEventListener('keydown', (e)=>{
+    if(capture) return;
+    if(e.code === 'Escape'){ e.stopPropagation(); closeControls(); }
+    else e.stopPropagation(); // keep panel navigation keys away from the game
+  });
 
   canvas.addEventListener('mousedown', onPointerDown);
   canvas.addEventListener('mouseup', onPointerUp);
-  canvas.addEventListener('touchstart', (e)=>{ e.preventDefault(); onPointerDown(); }, {passive:false});
-  canvas.addEventListener('touchend', (e)=>{ e.preventDefault(); onPointerUp(); }, {passive:false});
+  const gestures = CactusInput.createGestureRecognizer(canvas, {
+    tap(){ ensureAudio(); if(state.gameOver) restart(); },
+    jumpStart(){ control('startJump'); },
+    jumpEnd(){ control('endJump'); },
+    duckStart(){ control('startDuck'); },
+    duckEnd(){ control('endDuck'); },
+    pause(){ control('togglePause'); }
+  });
+  pauseBtn.addEventListener('click', ()=>{ control('togglePause'); });
   window.addEventListener('keydown', onKeyDown);
   window.addEventListener('keyup', onKeyUp);
 
-  muteBtn.addEventListener('click', ()=>{
-    state.muted = !state.muted;
-    muteBtn.textContent = state.muted ? '🔇' : '🔊';
-    muteBtn.setAttribute('aria-pressed', String(state.muted));
-    if(!state.muted) ensureAudio();
+  // drop a saved replay file on the canvas to play it back, or a ghost file to race it
+  canvas.addEventListener('dragover', (e)=>{ e.preventDefault(); });
+  canvas.addEventListener('drop', (e)=>{
+    e.preventDefault();
+    const file = e.dataTransfer && e.dataTransfer.files[0];
+    if(!file) return;
+    file.text().then((text)=>{
+      const data = JSON.parse(text);
+      if(data && data.kind === 'cactusRunnerGhost'){
+        ghosts.setShared(CactusGhost.parseGhost(data));
+        if(state.gameOver) restart();
+      } else {
+        startPlayback(CactusSim.parseReplay(data));
+      }
+    }).catch((err)=>{ console.warn('File load failed:', err.message); });
   });
 
+  // Menus: title screen, pause menu, settings ----------------
+  const menu = CactusMenu.createMenu(menuEl, {
+    onBack(screen){ if(screen === 'pause') control('togglePause'); },
+    onShow(screen){ if(screen === 'title') renderControlsNote(); }
+  });
+  // the title screen's reminder of the controls, as they are bound now
+  function renderControlsNote(){
+    controlsNote.textContent = ['jump', 'duck', 'pause'].map(a => `${inputMap.label(a)}: ${inputMap.describe(a)}`).join(' · ');
+  }
+  function renderSettings(){
+    for(const input of difficultyInputs) input.checked = input.value === settings.difficulty;
+    difficultyNote.hidden = !profileName && !ui.running;
+    difficultyNote.textContent = profileName ? `Using the "${profileName}" profile from the URL` : 'Applies from the next run';
+    for(const input of settingInputs){
+      const key = input.dataset.setting;
+      if(input.type === 'checkbox') input.checked = settings[key];
+      else if(input.type === 'radio') input.checked = input.value === settings[key];
+      else input.value = String(Math.round(settings[key] * 100));
+    }
+    gameSpeedLabel.textContent = `${Math.round(settings.gameSpeed * 100)}%`;
+    document.body.classList.toggle('high-contrast', settings.highContrast);
+  }
+  playBtn.addEventListener('click', ()=>{ ensureAudio(); restart(); });
+  menuStatsBtn.addEventListener('click', openStats);
+  resumeBtn.addEventListener('click', ()=>{ control('togglePause'); });
+  menuRestartBtn.addEventListener('click', ()=>{ restart(); });
+  menuControlsBtn.addEventListener('click', openControls);
+  for(const input of difficultyInputs){
+    input.addEventListener('change', ()=>{
+      settings.difficulty = input.value;
+      saveSettings();
+      renderSettings();
+    });
+  }
+  for(const input of settingInputs) bindSetting(input);
+  function bindSetting(input){
+    input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', ()=>{
+      const key = input.dataset.setting;
+      settings[key] = input.type === 'checkbox' ? input.checked : input.type === 'radio' ? input.value : Number(input.value) / 100;
+      saveSettings();
+      if(key === 'skin') applySkin();
+      renderSettings();
+    });
+  }
+  menuEl.addEventListener('click', (e)=>{ if(e.target.dataset && e.target.dataset.push === 'settings') renderSettings(); });
+  applySkin();
+  loadSkinSheets();
+  renderSettings();
+  menu.open('title');
+
+  function toggleMute(){
+    audio.setMuted(!audio.muted);
+    renderMute();
+  }
+  function renderMute(){
+    muteBtn.textContent = audio.muted ? '🔇' : '🔊';
+    muteBtn.setAttribute('aria-pressed', String(audio.muted));
+  }
+  muteBtn.addEventListener('click', toggleMute);
+  renderMute();
+
+  // volume sliders in the controls panel, 0..100 per bus
+  for(const input of volumeInputs){
+    input.value = String(Math.round(audio.volumes[input.dataset.bus] * 100));
+    input.addEventListener('input', ()=>{ audio.setVolume(input.dataset.bus, Number(input.value) / 100); });
+  }
+
+  // Music plays while a run is live, faster as the world speeds up
+  function updateMusic(){
+    if(!ui.running || state.paused || state.gameOver) audio.stopMusic();
+    else {
+      audio.setTempo((CactusAudio.MIN_BPM + (state.speed - 300) / 4) * settings.gameSpeed);
+      audio.startMusic();
+    }
+    audio.update();
+  }
+
   window.addEventListener('beforeunload', ()=>{
     window.removeEventListener('keydown', onKeyDown);
     window.removeEventListener('keyup', onKeyUp);
     canvas.removeEventListener('mousedown', onPointerDown);
     canvas.removeEventListener('mouseup', onPointerUp);
-    canvas.removeEventListener('touchstart', onPointerDown);
-    canvas.removeEventListener('touchend', onPointerUp);
+    gestures.destroy();
   });
 
-  // Player control ------------------------------------------
-  function startJump(){
-    if(state.paused || state.gameOver) return;
-    const p = state.player;
-    if(p.grounded){
-      p.vy = initialJumpVY;
-      p.grounded = false;
-      p.jumpHeld = true;
-      p.jumpHoldTime = 0;
-      p.sprite = 'jump';
-      sfx.jump();
-    } else {
-      p.jumpHeld = true; // variable jump while airborne and within hold window
+  // profile defaults to the chosen preset; a ?profile= file always wins
+  function restart(profile){
+    if(!profileName) sim.config.profile = profile || CactusSim.PRESETS[settings.difficulty];
+    sim.config.autoDuck = settings.autoDuck;
+    ui.running = true;
+    sim.restart();
+    playback = null;
+    pendingInputs.length = 0;
+    bannerGameOver.style.display = 'none';
+    menu.close();
+    initialsForm.hidden = true;
+    ghostRecorder = CactusGhost.createGhostRecorder();
+    particles.clear();
+    juice.shake = juice.flash = juice.milestone = 0;
+    dev.tainted = dev.timeScale !== 1;
+    countdown.armed = false;
+    countdown.left = 0;
+    agentMapper.reset();
+    startClip();
+  }
+
+  // Auto-pause & reload ---------------------------------------
+  // Leaving the tab or window pauses a live run and lets go of held inputs,
+  // whose keyups would never arrive. Resuming from such a pause counts down
+  // first. The run is also saved to sessionStorage as the page hides, so a
+  // reload brings it back paused.
+  const RESUME_COUNTDOWN = 3; // s
+  const SESSION_KEY = 'cactusRunnerSession';
+  const countdown = {armed: false, left: 0}; // armed: the next resume counts down
+  function releaseHeld(){
+    heldKeys.clear();
+    if(!ui.running || state.gameOver) return;
+    if(state.player.jumpHeld) control('endJump');
+    if(state.player.ducking) control('endDuck');
+  }
+  function autoPause(){
+    releaseHeld();
+    if(countdown.left > 0) holdResume(); // back to the pause menu
+    else if(ui.running && !state.paused && !state.gameOver){
+      control('togglePause');
+      countdown.armed = true;
     }
   }
-  function endJump(){ state.player.jumpHeld = false; }
-  function startDuck(){
-    if(state.paused || state.gameOver) return;
-    const p = state.player;
-    if(p.grounded){ p.ducking = true; p.sprite = 'duck'; }
+  // Stands in for a resume while one should count down; pausing again stops it
+  function holdResume(){
+    if(countdown.left > 0){
+      countdown.left = 0;
+      menu.open('pause', true);
+      return true;
+    }
+    if(!countdown.armed || !state.paused) return false;
+    countdown.left = RESUME_COUNTDOWN;
+    menu.close();
+    announcer.textContent = `Resuming in ${RESUME_COUNTDOWN}`;
+    return true;
   }
-  function endDuck(){
-    const p = state.player;
-    p.ducking = false;
-    if(p.grounded) p.sprite = 'run';
+  function tickCountdown(dt){
+    if(!countdown.left) return;
+    const shown = Math.ceil(countdown.left);
+    countdown.left = Math.max(0, countdown.left - dt);
+    if(!countdown.left){
+      countdown.armed = false;
+      pendingInputs.push('togglePause');
+    } else if(Math.ceil(countdown.left) !== shown) announcer.textContent = String(Math.ceil(countdown.left));
   }
-  function togglePause(){
-    if(state.gameOver) return;
-    state.paused = !state.paused;
-    bannerPause.style.display = state.paused ? 'block' : 'none';
-  }
-  function restart(){
-    state.entities.length = 0;
-    state.speed = minSpeed;
-    state.score = 0;
-    state.worldX = 0;
-    state.time = 0;
-    state.nextSpawnT = 0;
-    state.gameOver = false;
-    state.paused = false;
-    bannerGameOver.style.display = 'none';
-    bannerPause.style.display = 'none';
-    const p = state.player;
-    p.x = 90; p.y = groundY; p.vx = 0; p.vy = 0; p.grounded = true; p.ducking = false; p.sprite = 'run'; p.hit=false; p.animTime=0;
-  }
-
-  // Entities -------------------------------------------------
-  function spawnObstacle(){
-    // Randomly choose between cactus cluster or bird
-    const r = Math.random();
-    if(r < 0.6){
-      const count = 1 + (Math.random()*3|0); // 1-3
-      const scale = Math.random() < 0.5 ? 1.0 : 1.2; // two sizes
-      const widthPer = 28*scale;
-      let w = count * widthPer + (count-1)*6*scale;
-      const e = {
-        type:'cactusCluster',
-        x: CSS_WIDTH + 20,
-        y: groundY,
-        w,
-        h: 60*scale,
-        count,
-        scale,
-        scored: false
-      };
-      state.entities.push(e);
-    } else {
-      const heights = [groundY-110, groundY-70, groundY-30];
-      const y = heights[(Math.random()*heights.length)|0];
-      const bob = Math.random() < 0.5 ? {amp:12+Math.random()*10, speed: (Math.random()<0.5?-1:1)*60} : null; // px/s amplitude and directional bob speed
-      const color = ['#2c3e50','#b33939','#2ecc71'][(Math.random()*3)|0];
-      const e = {
-        type:'bird',
-        x: CSS_WIDTH + 20,
-        y,
-        baseY: y,
-        w: 46,
-        h: 34,
-        bob,
-        color,
-        flapT: 0,
-        scored: false
-      };
-      state.entities.push(e);
+  function saveSession(){
+    try {
+      if(ui.running && !state.gameOver && !playback && !dev.tainted){
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify({v: 2, sim: sim.snapshot(), ghost: ghostRecorder.finish(state).samples}));
+      } else sessionStorage.removeItem(SESSION_KEY);
+    } catch(e){ console.warn('Run not saved for reload:', e.message); }
+  }
+  // picks up a run saved by saveSession(), once; its profile must be loaded
+  function resumeSession(){
+    let saved = null;
+    try {
+      saved = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+      sessionStorage.removeItem(SESSION_KEY);
+    } catch(e){ return; }
+    if(!saved || saved.v !== 2 || !saved.sim) return; // v1 held ghost samples at screen y
+    const profile = profileName ? sim.config.profile : CactusSim.PRESETS[saved.sim.profile];
+    if(!profile || profile.name !== saved.sim.profile) return;
+    restart(profile);
+    try {
+      sim.restore(saved.sim);
+    } catch(e){
+      console.warn('Saved run not resumed:', e.message);
+      ui.running = false; // back to the title screen
+      sim.restart();
+      menu.open('title');
+      return;
     }
+    ghostRecorder = CactusGhost.createGhostRecorder(saved.ghost || []);
+    if(!state.paused) pendingInputs.push('togglePause');
+    countdown.armed = true;
   }
+  document.addEventListener('visibilitychange', ()=>{
+    if(document.hidden){ autoPause(); saveSession(); }
+  });
+  window.addEventListener('blur', autoPause);
+  window.addEventListener('pagehide', saveSession);
 
-  function aabb(ax,ay,aw,ah,bx,by,bw,bh){
-    return ax < bx + bw && ax + aw > bx && ay < by + bh && ay + ah > by;
+  // Attract mode --------------------------------------------
+  // Behind the title screen the autopilot plays the current profile, starting
+  // over shortly after each crash. It is silent and never recorded, and
+  // reduced motion keeps the world still instead.
+  const ATTRACT_RESTART_MS = 1500;
+  const attract = {pilot: null, mapper: CactusAgent.createActionMapper(), restartAt: 0};
+  function attractStep(now, frameDt){
+    if(settings.reducedMotion) return;
+    if(!attract.pilot || (state.gameOver && now >= attract.restartAt)){
+      updatePalette(); // dust takes its colour before the first render
+      sim.restart();
+      particles.clear();
+      attract.pilot = CactusAgent.createAutopilot();
+      attract.mapper.reset();
+      accumulator = 0;
+    }
+    if(state.gameOver) return;
+    accumulator += frameDt;
+    while(accumulator >= FIXED_DT && !state.gameOver){
+      const action = attract.pilot.act(CactusAgent.observe(state, 6));
+      sim.step(FIXED_DT, attract.mapper.inputs(action, state));
+      accumulator -= FIXED_DT;
+    }
+    if(state.gameOver) attract.restartAt = now + ATTRACT_RESTART_MS;
+    updateJuice(frameDt);
+    renderAlpha = accumulator / FIXED_DT;
   }
 
   // Update & Render -----------------------------------------
+  // The simulation advances in FIXED_DT steps drained from an accumulator, so
+  // jumps and collisions are identical at any refresh rate; render() then
+  // interpolates between the last two steps by renderAlpha.
   let lastTime = performance.now();
+  let accumulator = 0;
+  let renderAlpha = 1;
   function loop(now){
-    if(!state.running){ requestAnimationFrame(loop); return; }
-    let dt = (now - lastTime) / 1000;
+    const frameMs = now - lastTime;
+    const frameDt = Math.min(frameMs / 1000, maxFrameDt);
     lastTime = now;
-    dt = Math.min(dt, clampDt);
-
-    if(!state.paused && !state.gameOver){
-      update(dt);
-    }
-    render();
-    requestAnimationFrame(loop);
-  }
-  requestAnimationFrame(loop);
-
-  function update(dt){
-    state.time += dt;
-    state.speed = Math.min(maxSpeed, state.speed + accelPerSec*dt);
-    state.worldX += state.speed * dt;
-
-    // spawn cadence scales inversely with speed
-    state.nextSpawnT -= dt;
-    if(state.nextSpawnT <= 0){
-      const t = lerp(spawnBaseMax, spawnBaseMin, (state.speed-minSpeed)/(maxSpeed-minSpeed));
-      state.nextSpawnT = t * (0.75 + Math.random()*0.5);
-      spawnObstacle();
+    pollGamepads();
+    if(!ui.running){
+      // title screen: the attract demo plays behind the menu
+      updateMusic();
+      renderAlpha = 1;
+      attractStep(now, frameDt);
+      present(frameMs);
+      requestAnimationFrame(loop);
+      return;
     }
 
-    // player physics
-    const p = state.player;
-    p.animTime += dt;
-    if(!p.grounded){
-      // variable jump
-      if(p.jumpHeld && p.jumpHoldTime < maxHoldJumpSec){
-        const can = Math.min(maxHoldJumpSec - p.jumpHoldTime, dt);
-        p.vy += extraJumpAccel * can;
-        p.jumpHoldTime += can;
-      }
-      p.vy += gravity * dt;
-      p.y += p.vy * dt;
-      if(p.y >= groundY){
-        p.y = groundY;
-        p.vy = 0;
-        p.grounded = true;
-        p.sprite = p.ducking ? 'duck' : 'run';
-      }
-    }
-
-    // Update entities
-    for(let i=state.entities.length-1;i>=0;i--){
-      const e = state.entities[i];
-      e.x -= state.speed * dt;
-      if(e.type==='bird' && e.bob){
-        e.flapT += dt*9;
-        // vertical bob: max vertical speed ±60 px/s -> omega = 60/amp
-        const omega = 60 / e.bob.amp; // rad/s approximation
-        e.y = e.baseY + Math.sin(state.time * omega) * e.bob.amp;
-      }
-      if(!e.scored && e.x + e.w < 0){
-        e.scored = true;
-        state.score += 1;
-        if(state.score % 5 === 0) sfx.score();
-      }
-      if(e.x + e.w < -40){
-        state.entities.splice(i,1);
-        continue;
+    if(state.paused || state.gameOver){
+      // inputs still apply (e.g. unpause) but no time passes
+      tickCountdown(frameDt);
+      sim.step(FIXED_DT, takeInputs());
+      accumulator = 0;
+    } else {
+      accumulator += frameDt * settings.gameSpeed * dev.timeScale; // slow mode: sim time runs slower, steps stay fixed
+      if(dev.frozen){
+        accumulator = dev.stepOnce ? FIXED_DT : 0;
+        dev.stepOnce = false;
       }
-    }
-
-    // Collision
-    const pr = getPlayerRect();
-    for(const e of state.entities){
-      if(aabb(pr.x, pr.y, pr.w, pr.h, e.x, e.y - e.h, e.w, e.h)){
-        // Hit
-        sfx.hit();
-        state.gameOver = true;
-        state.paused = false;
-        bannerGameOver.style.display = 'block';
-        const pBest = Math.max(state.best, state.score);
-        if(pBest !== state.best){
-          state.best = pBest;
-          localStorage.setItem('cactusRunnerBest', String(state.best));
-          bestLabel.textContent = `Best: ${String(state.best).padStart(5,'0')}`;
+      while(accumulator >= FIXED_DT && !state.paused && !state.gameOver){
+        // queued inputs wait for the next step so it stays the replay clock
+        let stepDt = FIXED_DT;
+        if(playback){
+          stepDt = playback.dt();
+          if(stepDt === null){ playback = null; stepDt = FIXED_DT; } // replay exhausted, hand control back
         }
-        break;
+        sim.step(stepDt, takeInputs());
+        accumulator -= stepDt;
       }
+      if(state.paused || state.gameOver) accumulator = 0;
     }
+    updateMusic();
+    updateJuice(state.paused || dev.frozen ? 0 : frameDt * dev.timeScale);
+    renderAlpha = state.paused || state.gameOver || dev.frozen ? 1 : accumulator / FIXED_DT;
+    present(frameMs);
+    requestAnimationFrame(loop);
   }
-
-  function getPlayerRect(){
-    const p = state.player;
-    const w = p.ducking ? 68 : 46;
-    const h = p.ducking ? 58 : 92;
-    const x = p.x - w/2;
-    const y = p.y - h; // y is baseline at feet
-    return {x,y,w,h};
+  // render() timed for the frame-time meter
+  function present(frameMs){
+    const t0 = performance.now();
+    render();
+    recordFrame(frameMs, performance.now() - t0);
   }
+  function takeInputs(){
+    const inputs = pendingInputs.splice(0);
+    return playback ? playback.inputs().concat(inputs) : inputs;
+  }
+  requestAnimationFrame(loop);
 
   function render(){
-    // background gradient desert-day
+    // letterbox bars stay transparent; everything else is drawn in world units
+    ctx.setTransform(1,0,0,1,0,0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const [shakeX, shakeY] = shakeOffset();
+    worldTransform(shakeX, shakeY);
+    updatePalette();
     const w = CSS_WIDTH, h = CSS_HEIGHT;
-    const g = ctx.createLinearGradient(0,0,0,h);
-    g.addColorStop(0,'#e7efcc');
-    g.addColorStop(0.6,'#d6e7a5');
-    g.addColorStop(1,'#d1c58f');
-    ctx.fillStyle = g;
-    ctx.fillRect(0,0,w,h);
+    const sky = view.offsetY / view.scale; // extra sky above the world
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, -sky, w, h + sky);
+    ctx.clip();
 
-    // parallax distant hills
-    drawHills();
+    // sky gradient, stars, sun and moon from the cached layer, then the
+    // biome's parallax layers
+    drawSky(sky, shakeX, shakeY);
+    drawBackdrop();
 
-    // ground strips
+    // ground strips, with pits cut into them
     drawGround();
 
     // entities
     for(const e of state.entities){
       if(e.type==='cactusCluster') drawCactusCluster(e);
-      else drawBird(e);
+      else if(e.type==='pickup') drawPickup(e);
+      else if(e.type==='tumbleweed') drawTumbleweed(e);
+      else if(e.type==='overhang') drawOverhang(e, sky);
+      else if(e.type==='bird') drawBird(e);
     }
 
     // player
+    // ghost behind the live player
+    const racing = racingGhost();
+    const ghost = racing ? CactusGhost.ghostAt(racing, state.time) : null;
+    if(ghost) drawGhost(ghost);
+
     drawPlayer();
+    if(state.effects.shield > 0) drawShieldBubble();
+    particles.draw(ctx);
+    if(juice.flash > 0){
+      ctx.fillStyle = `rgba(255,255,255,${(juice.flash * 0.6).toFixed(3)})`;
+      ctx.fillRect(0, -sky, w, h + sky);
+    }
 
     // HUD: score top-right
     ctx.save();
     ctx.font = 'bold 28px Nunito, system-ui';
     ctx.textAlign = 'right';
     ctx.textBaseline = 'top';
-    ctx.fillStyle = '#102a43';
-    ctx.fillText(String(state.score).padStart(5,'0'), w-14, 8);
+    ctx.fillStyle = palette.hud;
+    const label = String(state.score).padStart(5,'0');
+    drawScore(label, w-14, 8 - sky);
+    drawCombo(w - 24 - ctx.measureText(label).width, 8 - sky);
+    if(racing && ui.running) drawGhostIndicator(ghost, w-14, 40 - sky);
+    ctx.restore();
+    if(countdown.left > 0) drawCountdown(w/2, h/2 - 30);
+    if(settings.hitboxes || dev.shown) drawHitboxes();
+    if(dev.shown) drawVelocities();
+    drawEffects(14, 44 - sky); // below the Best label
+    ctx.restore();
+    worldTransform();
+    if(settings.perfMeter) drawPerfMeter(8, h - 52);
+    if(dev.shown) drawDevPanel(w - 222, 40 - sky + (racing && ui.running ? 22 : 0));
+  }
+
+  // Score and combo -----------------------------------------
+  // A milestone turns the score gold; with motion on it blinks and pops.
+  const MILESTONE_FLASH = 1; // s
+  const MILESTONE_COLOR = '#f2c94c';
+  function drawScore(label, x, y){
+    const t = juice.milestone / MILESTONE_FLASH;
+    if(t <= 0){ ctx.fillText(label, x, y); return; }
+    ctx.save();
+    ctx.fillStyle = !juiceOn() || Math.floor(t * 8) % 2 ? MILESTONE_COLOR : palette.hud;
+    if(juiceOn()){
+      const k = 1 + 0.3 * t * t;
+      ctx.translate(x, y);
+      ctx.scale(k, k);
+      ctx.fillText(label, 0, 0);
+    } else ctx.fillText(label, x, y);
+    ctx.restore();
+  }
+  // the multiplier and the clears in a row, right-aligned at x
+  function drawCombo(x, y){
+    const combo = state.combo;
+    if(combo < 2) return;
+    const m = CactusSim.comboMultiplier(combo);
+    ctx.save();
+    ctx.font = 'bold 16px Nunito, system-ui';
+    ctx.globalAlpha = m > 1 ? 1 : 0.7;
+    ctx.fillStyle = m > 1 ? MILESTONE_COLOR : palette.hud;
+    ctx.fillText(m > 1 ? `×${m}  ${combo} in a row` : `${combo} in a row`, x, y + 8);
+    ctx.restore();
+  }
+
+  // Pickups and effects -------------------------------------
+  const PICKUP_LOOK = {
+    shield:     {color: '#2f80ed', icon: '◆'},
+    slowmo:     {color: '#9b51e0', icon: '◷'},
+    doubleJump: {color: '#27ae60', icon: '⇈'},
+    magnet:     {color: '#eb5757', icon: 'U'}
+  };
+  function drawPickup(e){
+    const x = interp(e.prevX, e.x), y = interp(e.prevY, e.y);
+    const r = CactusSim.shapes.PICKUP_SIZE / 2;
+    const bob = settings.reducedMotion ? 0 : Math.sin(state.time * 5 + e.x * 0.05) * 2;
+    ctx.save();
+    ctx.translate(x, y + bob);
+    if(e.kind === 'coin'){
+      // spin by squashing horizontally
+      const sx = settings.reducedMotion ? 1 : Math.max(0.2, Math.abs(Math.cos(state.time * 4 + e.x * 0.02)));
+      ctx.scale(sx, 1);
+      ctx.fillStyle = '#f2c94c';
+      ctx.beginPath(); ctx.arc(0, 0, r - 2, 0, Math.PI*2); ctx.fill();
+      ctx.strokeStyle = '#c99a06'; ctx.lineWidth = 2; ctx.stroke();
+      ctx.fillStyle = '#fff3c4'; ctx.fillRect(-2, -6, 4, 12);
+    } else {
+      const look = PICKUP_LOOK[e.kind];
+      ctx.fillStyle = 'rgba(255,255,255,0.85)';
+      ctx.beginPath(); ctx.arc(0, 0, r, 0, Math.PI*2); ctx.fill();
+      ctx.strokeStyle = look.color; ctx.lineWidth = 3; ctx.stroke();
+      drawEffectIcon(e.kind, 0, 0);
+    }
+    ctx.restore();
+  }
+  function drawEffectIcon(kind, x, y){
+    ctx.font = 'bold 14px Nunito, system-ui';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = PICKUP_LOOK[kind].color;
+    ctx.fillText(PICKUP_LOOK[kind].icon, x, y + 1);
+  }
+  function drawShieldBubble(){
+    const p = state.player;
+    const {dh} = PLAYER_POSES[CactusSim.playerPose(state)];
+    const x = interp(p.prevX, p.x), y = interp(p.prevY, p.y) - dh/2;
+    // flicker in the last two seconds
+    const left = state.effects.shield;
+    if(left < 2 && !settings.reducedMotion && Math.floor(state.time * 8) % 2) return;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(47,128,237,0.7)';
+    ctx.fillStyle = 'rgba(47,128,237,0.12)';
+    ctx.lineWidth = 3;
+    ctx.beginPath(); ctx.ellipse(x, y, 46, dh/2 + 10, 0, 0, Math.PI*2); ctx.fill(); ctx.stroke();
+    ctx.restore();
+  }
+  // HUD: one badge per active effect with a bar for the time left
+  function drawEffects(x, y){
+    ctx.save();
+    for(const kind of CactusSim.EFFECTS){
+      const left = state.effects[kind];
+      if(!(left > 0)) continue;
+      const frac = left / CactusSim.PICKUP_KINDS[kind].duration;
+      ctx.fillStyle = 'rgba(255,255,255,0.8)';
+      roundRectPath(x, y, 64, 26, 8); ctx.fill();
+      drawEffectIcon(kind, x + 13, y + 13);
+      ctx.fillStyle = 'rgba(16,42,67,0.15)';
+      ctx.fillRect(x + 26, y + 10, 32, 6);
+      ctx.fillStyle = PICKUP_LOOK[kind].color;
+      ctx.fillRect(x + 26, y + 10, 32 * frac, 6);
+      x += 72;
+    }
+    ctx.restore();
+  }
+
+  // the resume countdown, a whole number shrinking over each second
+  function drawCountdown(x, y){
+    const n = Math.ceil(countdown.left);
+    const k = settings.reducedMotion ? 1 : 0.8 + 0.4 * (countdown.left - n + 1);
+    ctx.save();
+    ctx.font = `900 ${Math.round(72 * k)}px Nunito, system-ui`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = 'rgba(0,0,0,0.25)';
+    ctx.strokeText(String(n), x, y);
+    ctx.fillStyle = palette.hud;
+    ctx.fillText(String(n), x, y);
+    ctx.restore();
+  }
+
+  function racingGhost(){ return settings.ghost && !playback ? ghosts.active : null; }
+
+  function drawGhost(g){
+    // ghosts from a different speed curve drift; place them by distance
+    const x = state.player.x + (g.worldX - interp(state.prevWorldX, state.worldX));
+    // and on this run's ground there, which may slope differently from theirs
+    const y = CactusGhost.ghostY(g, CactusSim.groundAt(state, x));
+    const f = getFrame(g.pose, state.player.animTime);
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    ctx.drawImage(sprite.image, f.sx, f.sy, f.sw, f.sh, x + f.dx, y + f.dy, f.dw, f.dh);
     ctx.restore();
   }
 
-  function drawHills(){
+  // ahead/behind the ghost by score at the same moment; past it once it crashed
+  function drawGhostIndicator(g, x, y){
+    let text;
+    if(!g) text = 'Ahead of ghost!';
+    else if((racingGhost().scoring || 1) !== SCORING){
+      // scored under other rules: only the distance compares
+      const diff = Math.round((interp(state.prevWorldX, state.worldX) - g.worldX) / PX_PER_METER);
+      text = diff > 0 ? `▲ ${diff} m ahead` : diff < 0 ? `▼ ${-diff} m behind` : '= ghost';
+    } else {
+      const diff = state.score - g.score;
+      text = diff > 0 ? `▲ ${diff} ahead` : diff < 0 ? `▼ ${-diff} behind` : '= ghost';
+    }
+    ctx.font = 'bold 16px Nunito, system-ui';
+    ctx.fillStyle = palette.hudDim;
+    ctx.fillText(text, x, y);
+  }
+
+  // Backdrop ---------------------------------------------
+  const STARS = (()=>{
+    const rng = CactusSim.createRng(1984);
+    return Array.from({length: 70}, ()=>({x: rng() * CSS_WIDTH, y: -CSS_HEIGHT + rng() * (groundY - 60 + CSS_HEIGHT), r: 0.6 + rng() * 1.2, phase: rng() * 6}));
+  })();
+  // The sky changes slowly (only while the day/night cycle blends, or the
+  // stars twinkle at 10 fps), so it is painted into skyLayer, a canvas the
+  // size of the backing store, and reused until its look changes.
+  function drawSky(sky, shakeX, shakeY){
+    const twinkle = palette.stars > 0 && !settings.reducedMotion ? Math.floor(performance.now() / 100) : 0;
+    const key = `${palette.sky}|${palette.sun}|${palette.moon}|${palette.stars}|${twinkle}`;
+    if(skyLayer.key !== key){
+      skyLayer.key = key;
+      paintSky(skyLayer.canvas.getContext('2d'), sky);
+    }
+    const k = view.dpr * view.scale;
+    ctx.save();
+    ctx.setTransform(1,0,0,1,0,0);
+    ctx.drawImage(skyLayer.canvas, Math.round(shakeX * k), Math.round(shakeY * k));
+    ctx.restore();
+  }
+  function paintSky(c, sky){
     const w = CSS_WIDTH, h = CSS_HEIGHT;
-    const x = - (state.worldX * 0.2 % (w+200));
-    ctx.fillStyle = '#a0c37a';
-    for(let i=0;i<3;i++){
-      const baseX = x + i*(w+200);
+    c.setTransform(1,0,0,1,0,0);
+    c.clearRect(0, 0, c.canvas.width, c.canvas.height);
+    worldTransform(0, 0, c);
+    const g = c.createLinearGradient(0,0,0,h);
+    g.addColorStop(0, palette.sky[0]);
+    g.addColorStop(0.6, palette.sky[1]);
+    g.addColorStop(1, palette.sky[2]);
+    c.fillStyle = palette.sky[0];
+    c.fillRect(0, -sky, w, sky);
+    c.fillStyle = g;
+    c.fillRect(0,0,w,h);
+    if(palette.stars > 0){
+      c.fillStyle = '#ffffff';
+      for(const st of STARS){
+        if(st.y < -sky) continue;
+        const twinkle = settings.reducedMotion ? 1 : 0.6 + 0.4 * Math.sin(performance.now() / 700 + st.phase);
+        c.globalAlpha = palette.stars * twinkle;
+        c.fillRect(st.x, st.y, st.r, st.r);
+      }
+    }
+    // sun and moon sink below the horizon as they fade
+    if(palette.sun > 0){
+      c.globalAlpha = palette.sun;
+      c.fillStyle = '#fff3b0';
+      c.beginPath(); c.arc(w * 0.8, 40 + (1 - palette.sun) * 150, 22, 0, Math.PI*2); c.fill();
+    }
+    if(palette.moon > 0){
+      const y = 36 + (1 - palette.moon) * 150;
+      c.globalAlpha = palette.moon;
+      c.fillStyle = '#f4f1de';
+      c.beginPath(); c.arc(w * 0.2, y, 16, 0, Math.PI*2); c.fill();
+      c.fillStyle = palette.sky[0]; // crescent
+      c.beginPath(); c.arc(w * 0.2 + 7, y - 4, 14, 0, Math.PI*2); c.fill();
+    }
+    c.globalAlpha = 1;
+  }
+  function drawBackdrop(){
+    const w = CSS_WIDTH;
+    if(!palette.layers) return;
+    const worldX = interp(state.prevWorldX, state.worldX);
+    for(const layer of CactusThemes.BIOMES[settings.biome].layers){
+      // reduced motion: the backdrop stays put
+      const scroll = settings.reducedMotion ? 0 : worldX * layer.factor;
+      const first = Math.floor(scroll / layer.spacing);
+      ctx.fillStyle = palette[layer.color];
+      ctx.globalAlpha = layer.alpha;
+      for(let n=first; n*layer.spacing - scroll < w; n++){
+        // each repeat gets its own stable height
+        const k = 0.7 + 0.3 * (((n * 2654435761) >>> 0) % 100) / 100;
+        drawLayerShape(layer, n*layer.spacing - scroll, layer.top * k);
+      }
+    }
+    ctx.globalAlpha = 1;
+  }
+  function drawLayerShape(layer, x, top){
+    const sp = layer.spacing, gy = groundY;
+    ctx.beginPath();
+    ctx.moveTo(x, gy);
+    if(layer.shape === 'hills') ctx.quadraticCurveTo(x + sp/2, gy - top*2, x + sp, gy);
+    else if(layer.shape === 'dunes') ctx.quadraticCurveTo(x + sp*0.65, gy - top*2, x + sp, gy);
+    else if(layer.shape === 'mesas'){
+      ctx.lineTo(x + sp*0.1, gy - top);
+      ctx.lineTo(x + sp*0.45, gy - top);
+      ctx.lineTo(x + sp*0.5, gy - top*0.55);
+      ctx.lineTo(x + sp*0.62, gy - top*0.55);
+      ctx.lineTo(x + sp*0.7, gy);
+    } else if(layer.shape === 'peaks'){
+      ctx.lineTo(x + sp/2, gy - top);
+      ctx.lineTo(x + sp, gy);
+    }
+    ctx.closePath();
+    ctx.fill();
+    if(layer.shape === 'peaks'){
+      // snow cap
+      const a = ctx.globalAlpha;
+      ctx.globalAlpha = a * 0.8;
+      ctx.fillStyle = '#ffffff';
       ctx.beginPath();
-      ctx.moveTo(baseX-100, h-120);
-      ctx.quadraticCurveTo(baseX+120, h-180, baseX+360, h-120);
-      ctx.lineTo(baseX+360, h);
-      ctx.lineTo(baseX-100, h);
+      ctx.moveTo(x + sp/2, gy - top);
+      ctx.lineTo(x + sp/2 - sp*0.09, gy - top*0.82);
+      ctx.lineTo(x + sp/2 + sp*0.09, gy - top*0.82);
       ctx.closePath();
-      ctx.globalAlpha = 0.35;
       ctx.fill();
-      ctx.globalAlpha = 1;
+      ctx.globalAlpha = a;
+      ctx.fillStyle = palette[layer.color];
     }
   }
 
+  // Ground surface y at screen x as drawn this frame (the sim's terrain at
+  // the interpolated scroll)
+  function surfaceAt(x){
+    return CactusSim.groundAt(state, x + interp(state.prevWorldX, state.worldX) - state.worldX);
+  }
+  const GROUND_STEP = 16; // px between sampled surface points
   function drawGround(){
     const w = CSS_WIDTH, h = CSS_HEIGHT;
-    // main ground strip
-    ctx.fillStyle = '#a98f56';
-    ctx.fillRect(0, groundY, w, h-groundY);
+    // surface detail scrolls with the ground
+    const offset = interp(state.prevWorldX, state.worldX) * 1.0;
+
+    // main ground strip, following any slopes; points are sampled at fixed
+    // world positions so slope corners don't wobble as they scroll
+    ctx.fillStyle = palette.ground;
+    ctx.beginPath();
+    ctx.moveTo(0, h);
+    ctx.lineTo(0, surfaceAt(0));
+    for(let x=-(offset % GROUND_STEP);x<w+GROUND_STEP;x+=GROUND_STEP) ctx.lineTo(x, surfaceAt(x));
+    ctx.lineTo(w + GROUND_STEP, h);
+    ctx.closePath();
+    ctx.fill();
 
-    // parallax ground lines
-    const offset = state.worldX * 1.0;
-    ctx.fillStyle = 'rgba(0,0,0,0.12)';
+    const decor = CactusThemes.BIOMES[settings.biome].ground.decor;
+    ctx.fillStyle = palette.groundLines;
+    ctx.strokeStyle = palette.groundLines;
+    ctx.lineWidth = 2;
     for(let i=0;i<Math.ceil(w/22)+3;i++){
       const x = Math.floor(w - ((offset/2) % 22) - i*22);
-      ctx.fillRect(x, groundY-2, 12, 2);
-      ctx.fillRect(x+8, groundY+8, 10, 2);
-      ctx.fillRect(x-10, groundY+16, 16, 2);
+      const gy = surfaceAt(x);
+      if(decor === 'cracks'){
+        if(i % 3) continue;
+        ctx.beginPath();
+        ctx.moveTo(x, gy + 6); ctx.lineTo(x + 6, gy + 14); ctx.lineTo(x + 2, gy + 24);
+        ctx.stroke();
+        ctx.fillRect(x + 12, gy - 2, 8, 2);
+      } else if(decor === 'drifts'){
+        ctx.beginPath(); ctx.ellipse(x, gy, 9, 3, 0, Math.PI, 0); ctx.fill();
+        ctx.fillRect(x - 10, gy + 14, 14, 2);
+      } else {
+        ctx.fillRect(x, gy-2, 12, 2);
+        ctx.fillRect(x+8, gy+8, 10, 2);
+        ctx.fillRect(x-10, gy+16, 16, 2);
+      }
     }
+    for(const e of state.entities) if(e.type === 'pit') drawPit(e);
+  }
+  function drawPit(e){
+    const x = interp(e.prevX, e.x);
+    const l = surfaceAt(x) - 1, r = surfaceAt(x + e.w) - 1;
+    ctx.fillStyle = palette.pit || 'rgba(20,12,6,0.85)';
+    ctx.beginPath();
+    ctx.moveTo(x, l); ctx.lineTo(x + e.w, r); ctx.lineTo(x + e.w, CSS_HEIGHT); ctx.lineTo(x, CSS_HEIGHT);
+    ctx.closePath();
+    ctx.fill();
+    // the far wall catches the light, the near one is in shadow
+    if(palette.pit) return;
+    ctx.fillStyle = 'rgba(255,255,255,0.12)';
+    ctx.fillRect(x + e.w - 5, r + 1, 5, PIT_DEPTH);
+    ctx.fillStyle = 'rgba(0,0,0,0.35)';
+    ctx.fillRect(x, l + 1, 5, CSS_HEIGHT - l);
   }
 
+  // Obstacle art --------------------------------------------
+  // Each obstacle look (cluster size, scale and colour; bird colour and wing
+  // frame) is rasterized once at the sprite resolution into its own canvas
+  // and blitted after that. Keys cover everything the art depends on.
+  const BIRD_FRAMES = 4; // wing positions per flap
+  const BIRD_BOUNDS = [-24, -22, 66, 32]; // l, t, w, h around the bird's anchor, wing included
+  const art = {res: 0, cache: new Map()};
+  function cachedArt(key, [l, t, w, h], paint){
+    if(art.res !== sprite.res){ art.cache.clear(); art.res = sprite.res; }
+    let a = art.cache.get(key);
+    if(!a){
+      const can = document.createElement('canvas');
+      can.width = Math.ceil(w * art.res);
+      can.height = Math.ceil(h * art.res);
+      const c = can.getContext('2d');
+      c.scale(art.res, art.res);
+      c.translate(-l, -t);
+      paint(c);
+      a = {canvas: can, l, t, w, h};
+      art.cache.set(key, a);
+    }
+    return a;
+  }
+  function blit(a, x, y){ ctx.drawImage(a.canvas, x + a.l, y + a.t, a.w, a.h); }
+
   function drawCactusCluster(e){
-    let x = e.x;
-    for(let i=0;i<e.count;i++){
-      const type = i % 3; // rotate types
-      drawEnemyCactus(x, e.y, e.scale, type);
-      x += 28*e.scale + 6*e.scale;
+    const color = palette.cactus || '';
+    const a = cachedArt(`cactus:${e.count}:${e.scale}:${color}`, clusterBounds(e.count, e.scale), (c)=>{
+      for(let i=0;i<e.count;i++){
+        const type = i % 3; // rotate types
+        c.save();
+        c.translate(i * CACTUS_PITCH*e.scale, 0);
+        paintEnemyCactus(c, e.scale, type, color || CACTUS_KINDS[type].color);
+        c.restore();
+      }
+    });
+    blit(a, interp(e.prevX, e.x), e.y);
+  }
+  function clusterBounds(count, s){
+    let l = Infinity, t = Infinity, r = -Infinity;
+    for(let i=0;i<count;i++){
+      for(const [px, py, pw] of CactusSim.cactusParts(i % 3, s)){
+        l = Math.min(l, i * CACTUS_PITCH*s + px);
+        r = Math.max(r, i * CACTUS_PITCH*s + px + pw);
+        t = Math.min(t, py);
+      }
     }
+    return [l - 1, t - 1, r - l + 2, -t + 2];
   }
 
-  function drawEnemyCactus(x, baseY, scale, type){
+  function paintEnemyCactus(c, scale, type, color){
     // type 0: regular, 1: taller, 2: wider
     const s = scale;
-    const bodyH = [44, 56, 40][type] * s;
-    const bodyW = [18, 16, 24][type] * s;
-    const y = baseY;
-    const col = ['#2e9c3a','#2b8d35','#25852f'][type];
-    ctx.save();
-    ctx.translate(x, y);
-    ctx.fillStyle = col;
-    ctx.strokeStyle = '#0e4e1a';
-    ctx.lineWidth = 2;
-    // stem
-    roundRectPath(-bodyW/2, -bodyH, bodyW, bodyH, 4*s);
-    ctx.fill();
-    // arms
-    const armH = 18*s;
-    const armW = 10*s;
-    // left
-    roundRectPath(-bodyW/2 - armW + 2*s, -bodyH*0.45, armW, armH, 4*s); ctx.fill();
-    roundRectPath(-bodyW/2 - armW + 2*s, -bodyH*0.45 + armH-6*s, armW+6*s, 8*s, 4*s); ctx.fill();
-    // right
-    roundRectPath(bodyW/2 - 2*s, -bodyH*0.3, armW, armH, 4*s); ctx.fill();
-    roundRectPath(bodyW/2 - 2*s - 6*s, -bodyH*0.3 + armH-6*s, armW+6*s, 8*s, 4*s); ctx.fill();
+    const bodyH = CACTUS_KINDS[type].bodyH * s;
+    c.fillStyle = color;
+    // stem, then left and right arms with their elbows (same rects as the hitboxes)
+    for(const [px, py, pw, ph] of CactusSim.cactusParts(type, s)){
+      roundRectPath(px, py, pw, ph, 4*s, c); c.fill();
+    }
     // shade dots
-    ctx.fillStyle = 'rgba(0,0,0,0.18)';
-    for(let i=0;i<4;i++) ctx.fillRect(-2*s, -bodyH + 8*s + i*12*s, 4*s, 6*s);
-    ctx.restore();
+    c.fillStyle = 'rgba(0,0,0,0.18)';
+    for(let i=0;i<4;i++) c.fillRect(-2*s, -bodyH + 8*s + i*12*s, 4*s, 6*s);
   }
 
   function drawBird(e){
-    const x = e.x, y = e.y;
-    ctx.save();
-    ctx.translate(x, y);
+    const color = palette.bird || e.color;
+    const frame = Math.floor(e.flapT * 6 / (Math.PI*2) * BIRD_FRAMES) % BIRD_FRAMES;
+    const a = cachedArt(`bird:${color}:${frame}`, BIRD_BOUNDS, c => paintBird(c, color, frame));
+    blit(a, interp(e.prevX, e.x), interp(e.prevY, e.y));
+  }
+  function paintBird(c, color, frame){
+    const {body, head, beak} = BIRD_PARTS;
     // body
-    ctx.fillStyle = e.color;
-    roundRectPath(-20, -16, 40, 24, 8);
-    ctx.fill();
+    c.fillStyle = color;
+    roundRectPath(body[0], body[1], body[2], body[3], 8, c);
+    c.fill();
     // wing (flapping)
-    const flap = Math.sin(e.flapT*6) * 10;
-    ctx.save();
-    ctx.translate(-6, -4);
-    ctx.rotate(-0.2);
-    roundRectPath(-14, -6+flap*0.1, 26, 12, 6); ctx.fillStyle = 'rgba(255,255,255,0.15)'; ctx.fill();
-    ctx.restore();
+    const flap = Math.sin(frame / BIRD_FRAMES * Math.PI*2) * 10;
+    c.save();
+    c.translate(-6, -4);
+    c.rotate(-0.2);
+    roundRectPath(-14, -6+flap*0.1, 26, 12, 6, c); c.fillStyle = 'rgba(255,255,255,0.15)'; c.fill();
+    c.restore();
     // head
-    roundRectPath(12, -18, 18, 16, 6); ctx.fillStyle = e.color; ctx.fill();
+    roundRectPath(head[0], head[1], head[2], head[3], 6, c); c.fillStyle = color; c.fill();
     // beak
-    ctx.fillStyle = '#f6ae2d';
-    ctx.beginPath(); ctx.moveTo(30, -10); ctx.lineTo(40, -6); ctx.lineTo(30, -2); ctx.closePath(); ctx.fill();
+    c.fillStyle = '#f6ae2d';
+    c.beginPath(); c.moveTo(beak[0], beak[1]); c.lineTo(beak[0]+beak[2], beak[1]+beak[3]/2); c.lineTo(beak[0], beak[1]+beak[3]); c.closePath(); c.fill();
     // eye
-    ctx.fillStyle = '#111'; ctx.fillRect(22, -8, 3, 3);
+    c.fillStyle = '#111'; c.fillRect(22, -8, 3, 3);
+  }
+
+  // Tumbleweeds turn as they roll: one radian per radius of ground covered
+  function drawTumbleweed(e){
+    const r = e.w/2;
+    const color = palette.weed || WEED_COLOR;
+    const a = cachedArt(`weed:${r}:${color}`, [-r-1, -r-1, 2*r+2, 2*r+2], c => paintTumbleweed(c, r, color));
+    const x = interp(e.prevX, e.x);
+    ctx.save();
+    ctx.translate(x, interp(e.prevY, e.y));
+    ctx.rotate((x + interp(state.prevWorldX, state.worldX)) / r);
+    blit(a, 0, 0);
+    ctx.restore();
+  }
+  function paintTumbleweed(c, r, color){
+    c.strokeStyle = color;
+    c.lineWidth = 1.6;
+    c.lineCap = 'round';
+    // loops of brush at fixed angles, so every tumbleweed of a size matches
+    for(let i=0;i<7;i++){
+      const a = i * 2.4;
+      c.beginPath();
+      c.ellipse(Math.cos(a) * r * 0.2, Math.sin(a) * r * 0.2, r * 0.8, r * 0.45, a, 0, Math.PI*2);
+      c.stroke();
+    }
+    c.beginPath(); c.arc(0, 0, r - 1, 0, Math.PI*2); c.stroke();
+  }
+  // A ledge is the lip of rock hanging down from above the screen
+  function drawOverhang(e, sky){
+    const x = interp(e.prevX, e.x), y = e.y, w = e.w;
+    ctx.fillStyle = palette.rock || ROCK_COLOR;
+    ctx.fillRect(x, -sky, w, y + sky); // exactly the hitbox
+    if(palette.rock) return;
+    // strata, a lit edge and a shadowed underside
+    ctx.fillStyle = 'rgba(0,0,0,0.15)';
+    for(let sy=y - 30;sy>-sky;sy-=26) ctx.fillRect(x + 4, sy, w - 8, 3);
+    ctx.fillStyle = 'rgba(255,255,255,0.12)';
+    ctx.fillRect(x, -sky, 4, y + sky);
+    ctx.fillStyle = 'rgba(0,0,0,0.3)';
+    ctx.fillRect(x, y - 5, w, 5);
+  }
+
+  // Frame-time meter (Settings → Show frame time) ---------------
+  // The last PERF_SAMPLES frames: time between frames and time spent in render()
+  const PERF_SAMPLES = 120;
+  const PERF_BUDGET = 1000 / 60;
+  const perf = {frame: new Float32Array(PERF_SAMPLES), draw: new Float32Array(PERF_SAMPLES), i: 0, n: 0};
+  function recordFrame(frameMs, drawMs){
+    perf.frame[perf.i] = frameMs;
+    perf.draw[perf.i] = drawMs;
+    perf.i = (perf.i + 1) % PERF_SAMPLES;
+    perf.n = Math.min(PERF_SAMPLES, perf.n + 1);
+  }
+  // averages in ms over the samples
+  function perfStats(){
+    let sum = 0, worst = 0, draw = 0;
+    for(let i=0;i<perf.n;i++){
+      sum += perf.frame[i];
+      worst = Math.max(worst, perf.frame[i]);
+      draw += perf.draw[i];
+    }
+    return {avg: sum / perf.n, worst, draw: draw / perf.n};
+  }
+  function drawPerfMeter(x, y){
+    if(!perf.n) return;
+    const {avg, worst, draw} = perfStats();
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,0,0.6)';
+    ctx.fillRect(x, y, PERF_SAMPLES + 8, 44);
+    ctx.font = 'bold 10px ui-monospace, monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(`${avg.toFixed(1)} ms  ${Math.round(1000 / avg)} fps`, x + 4, y + 3);
+    ctx.fillText(`worst ${worst.toFixed(1)}  draw ${draw.toFixed(1)}`, x + 4, y + 14);
+    // one bar per frame, oldest on the left; 2x the 60 fps budget fills the graph
+    const base = y + 41;
+    for(let k=0;k<perf.n;k++){
+      const i = (perf.i - perf.n + k + PERF_SAMPLES) % PERF_SAMPLES;
+      const ms = perf.frame[i];
+      ctx.fillStyle = ms <= PERF_BUDGET * 1.1 ? '#6fe07d' : ms <= PERF_BUDGET * 2.1 ? '#f2c94c' : '#eb5757';
+      const bh = Math.min(14, ms / (PERF_BUDGET * 2) * 14);
+      ctx.fillRect(x + 4 + k, base - bh, 1, bh);
+    }
+    ctx.fillStyle = 'rgba(255,255,255,0.5)';
+    ctx.fillRect(x + 4, base - 7, PERF_SAMPLES, 1); // the 60 fps budget
     ctx.restore();
   }
 
   function drawPlayer(){
     const p = state.player;
-    const frame = getPlayerFrame(p);
-    // draw using spritesheet
-    const sx = frame.sx, sy = frame.sy, sw = sprite.fw, sh = sprite.fh;
-    const dw = frame.dw, dh = frame.dh;
-    const dx = p.x - dw/2;
-    const dy = p.y - dh;
-    ctx.drawImage(sprite.canvas, sx, sy, sw, sh, dx, dy, dw, dh);
+    const f = getFrame(CactusSim.playerPose(state), p.animTime);
+    ctx.drawImage(sprite.image, f.sx, f.sy, f.sw, f.sh, interp(p.prevX, p.x) + f.dx, interp(p.prevY, p.y) + f.dy, f.dw, f.dh);
+  }
 
-    // optional debug AABB
-    // const r = getPlayerRect(); ctx.strokeStyle='rgba(255,0,0,0.4)'; ctx.strokeRect(r.x, r.y, r.w, r.h);
+  // collision boxes as the sim sees them (Settings → Show hitboxes)
+  function drawHitboxes(){
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(255,0,0,0.6)';
+    for(const [bx,by,bw,bh] of CactusSim.getPlayerBoxes(state, sim.config.forgiveness)) ctx.strokeRect(bx, by, bw, bh);
+    for(const e of state.entities){
+      ctx.strokeStyle = e.type === 'pickup' ? 'rgba(0,120,255,0.6)' : 'rgba(255,0,0,0.6)';
+      for(const [bx,by,bw,bh] of CactusSim.getEntityBoxes(e)) ctx.strokeRect(bx, by, bw, bh);
+    }
+    ctx.restore();
   }
 
-  function getPlayerFrame(p){
-    const scale = 1;
-    const runFrames = sprite.maps.run;
-    const duckFrames = sprite.maps.duck;
-    const jumpFrames = sprite.maps.jump;
-    const hitFrames = sprite.maps.hit;
-    if(state.gameOver){ return frameInfo(hitFrames[0], 64, 100); }
-    if(p.sprite==='duck' && p.grounded){
-      const idx = Math.floor(p.animTime*10)%duckFrames.length; return frameInfo(duckFrames[idx], 90, 62);
+  // pose and drawn size come from the sim so the sprite matches the hitboxes
+  function getFrame(pose, animTime){ return CactusSkins.sheetFrame(sprite.sheet, sprite.cols, pose, animTime); }
+
+  // Skins ----------------------------------------------------
+  // Settings → Character: a procedural variant, drawn by createCactusSprites(),
+  // or a spritesheet listed in skins/index.json, which plays as the classic
+  // cactus until it has loaded and for good if it can't.
+  // a Character radio, added after the others; returns its input
+  function addSkinChoice(id, label){
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'skin';
+    input.value = id;
+    input.dataset.setting = 'skin';
+    const el = document.createElement('label');
+    el.append(input, ` ${label}`);
+    skinChoices.appendChild(el);
+    return input;
+  }
+  function loadSkinSheets(){
+    CactusSkins.loadCatalog()
+      .then((sheets)=>{
+        skin.sheets = sheets;
+        for(const id in sheets){
+          const input = addSkinChoice(id, sheets[id].label);
+          settingInputs.push(input);
+          bindSetting(input);
+        }
+        if(!(settings.skin in CactusSkins.SKINS || settings.skin in sheets)) settings.skin = DEFAULT_SETTINGS.skin;
+        if(!skinUrl && settings.skin in sheets) applySkin();
+        renderSettings();
+      })
+      .catch((err)=>{
+        console.error('Spritesheet skins not listed:', err.message);
+        if(!(settings.skin in CactusSkins.SKINS)) settings.skin = DEFAULT_SETTINGS.skin;
+        renderSettings();
+      });
+  }
+  function skinSprite(res){
+    if(skin.loaded) return Object.assign({res}, skin.loaded);
+    return createCactusSprites(res, CactusSkins.SKINS[skin.id] || CactusSkins.SKINS.classic);
+  }
+  function applySkin(){
+    const id = skinUrl ? 'url' : settings.skin;
+    const entry = skinUrl ? {label: 'The character from the URL', manifest: skinUrl} : skin.sheets && skin.sheets[id];
+    skin.id = id;
+    skin.loaded = null;
+    skinNote.textContent = 'Using the character from the URL';
+    skinNote.hidden = !skinUrl;
+    sprite = skinSprite(sprite.res);
+    if(!entry) return;
+    CactusSkins.loadSheet(entry.manifest)
+      .then((loaded)=>{
+        if(skin.id !== id) return; // changed again meanwhile
+        skin.loaded = loaded;
+        sprite = skinSprite(sprite.res);
+      })
+      .catch((err)=>{
+        console.error(`Skin "${entry.label}" not loaded:`, err.message);
+        if(skin.id !== id) return;
+        skinNote.textContent = `${entry.label} could not be loaded`;
+        skinNote.hidden = false;
+      });
+  }
+
+  // Developer overlay ----------------------------------------
+  // ` toggles it (?debug opens it at load). It draws hitboxes and velocities
+  // and a panel of live numbers, and while it is shown DEV_KEYS freeze and
+  // single-step time, scale it, force-spawn obstacles and toggle
+  // invincibility. Runs bent by any of these stay out of history and ghosts.
+  const TIME_SCALES = [0.1, 0.25, 0.5, 1, 2, 4];
+  const dev = {shown: params.has('debug'), frozen: false, stepOnce: false, timeScale: 1, tainted: false};
+  const DEV_SPAWNS = {
+    Digit1: {type:'cactus', count:1, scale:1},
+    Digit2: {type:'cactus', count:2, scale:1},
+    Digit3: {type:'cactus', count:3, scale:1},
+    Digit4: {type:'bird', height:'low'},
+    Digit5: {type:'bird', height:'mid'},
+    Digit6: {type:'bird', height:'high'},
+    Digit7: {type:'pit', width:70},
+    Digit8: {type:'tumbleweed', size:14, bounce:24, roll:40},
+    Digit9: {type:'overhang', width:90}
+  };
+  const DEV_HELP = ['0 freeze  . step  -/= time', '1-3 cactus  4-6 bird  7 pit', '8 tumbleweed  9 ledge  I invincible'];
+  function onDevKey(e){
+    if(e.code === 'Backquote'){
+      e.preventDefault();
+      if(!e.repeat) dev.shown = !dev.shown;
+      return true;
     }
-    if(!p.grounded){
-      const idx = Math.min(jumpFrames.length-1, Math.floor(p.animTime*12)%jumpFrames.length); return frameInfo(jumpFrames[idx], 70, 96);
+    if(!dev.shown || menu.isOpen || !controlsPanel.hidden || !statsPanel.hidden) return false;
+    const code = e.code;
+    if(code === 'Digit0') dev.frozen = !dev.frozen;
+    else if(code === 'Period'){ dev.frozen = true; dev.stepOnce = true; }
+    else if(code === 'Minus' || code === 'Equal'){
+      const i = TIME_SCALES.indexOf(dev.timeScale) + (code === 'Equal' ? 1 : -1);
+      dev.timeScale = TIME_SCALES[Math.min(TIME_SCALES.length - 1, Math.max(0, i))];
+    }
+    else if(DEV_SPAWNS[code]) sim.debugSpawn(DEV_SPAWNS[code]);
+    else if(code === 'KeyI') sim.config.invincible = !sim.config.invincible;
+    else return false;
+    e.preventDefault();
+    if(dev.frozen || dev.timeScale !== 1) dev.tainted = true;
+    return true;
+  }
+
+  // arrows for where things move in the next 0.1 s
+  function drawVelocities(){
+    const p = state.player;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,0,255,0.8)';
+    ctx.lineWidth = 2;
+    drawArrow(p.x, p.y - p.height/2, 0, p.vy * 0.1);
+    for(const e of state.entities){
+      const boxes = CactusSim.getEntityBoxes(e);
+      const l = Math.min(...boxes.map(b => b[0])), r = Math.max(...boxes.map(b => b[0] + b[2]));
+      const t = Math.min(...boxes.map(b => b[1])), bottom = Math.max(...boxes.map(b => b[1] + b[3]));
+      drawArrow((l + r) / 2, (t + bottom) / 2, (e.x - e.prevX) / FIXED_DT * 0.1, (e.y - e.prevY) / FIXED_DT * 0.1);
     }
-    // running
-    const idx = Math.floor(p.animTime*12)%runFrames.length; return frameInfo(runFrames[idx], 70, 96);
+    ctx.restore();
+  }
+  function drawArrow(x, y, dx, dy){
+    const len = Math.hypot(dx, dy);
+    if(len < 1) return;
+    const ux = dx / len, uy = dy / len;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + dx, y + dy);
+    ctx.lineTo(x + dx - ux*6 - uy*4, y + dy - uy*6 + ux*4);
+    ctx.moveTo(x + dx, y + dy);
+    ctx.lineTo(x + dx - ux*6 + uy*4, y + dy - uy*6 - ux*4);
+    ctx.stroke();
+  }
+  function drawDevPanel(x, y){
+    const p = state.player;
+    const fps = perf.n ? Math.round(1000 / perfStats().avg) : 0;
+    const flags = [`time ×${dev.timeScale}`, dev.frozen ? 'FROZEN' : '', sim.config.invincible ? 'INVINCIBLE' : ''].filter(Boolean).join('  ');
+    const lines = [
+      `fps ${fps}  entities ${state.entities.length}`,
+      `speed ${state.speed.toFixed(0)} px/s  top ${state.topSpeed.toFixed(0)}`,
+      `next spawn ${state.nextSpawnT.toFixed(2)} s  queue ${state.spawnQueue.length}`,
+      `player y ${p.y.toFixed(1)}  vy ${p.vy.toFixed(0)}  ${p.grounded ? 'ground' : 'air'}`,
+      `step ${state.step}  t ${state.time.toFixed(2)} s  x ${state.worldX.toFixed(0)}`,
+      flags
+    ].concat(DEV_HELP);
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,0,0.6)';
+    ctx.fillRect(x, y, 214, lines.length * 12 + 6);
+    ctx.font = 'bold 10px ui-monospace, monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, i)=>{
+      ctx.fillStyle = i >= lines.length - DEV_HELP.length ? 'rgba(255,255,255,0.6)' : '#ffffff';
+      ctx.fillText(line, x + 4, y + 4 + i * 12);
+    });
+    ctx.restore();
+  }
 
-    function frameInfo(idx, dw, dh){
-      const sx = (idx % sprite.cols) * sprite.fw;
-      const sy = Math.floor(idx / sprite.cols) * sprite.fh;
-      return {sx, sy, dw, dh};
+  // Embedding ------------------------------------------------
+  // The game object CactusRunner.create() returns, and the iframe bridge to it
+  // (see Public API)
+  const hostListeners = {};
+  function emitHost(type, data){
+    const fns = hostListeners[type];
+    if(fns) for(const fn of fns.slice()) fn(data);
+    if(bridge) bridge.post(type, data);
+  }
+  const api = {
+    start(){
+      if(!ui.running || state.gameOver) restart();
+      else if(state.paused) control('togglePause');
+    },
+    pause(){ if(ui.running && !state.paused && !state.gameOver) control('togglePause'); },
+    resume(){ if(ui.running && state.paused) control('togglePause'); },
+    restart(){ restart(); },
+    mute(muted = true){
+      audio.setMuted(muted);
+      renderMute();
+    },
+    observe(count){ return CactusAgent.observe(state, count); },
+    act(action){ for(const input of agentMapper.inputs(action, state)) control(input); },
+    getState(){
+      return {
+        running: ui.running,
+        paused: state.paused,
+        gameOver: state.gameOver,
+        score: state.score,
+        best: ui.best,
+        distance: Math.round(state.worldX / PX_PER_METER),
+        time: state.time,
+        speed: state.speed,
+        muted: audio.muted
+      };
+    },
+    on(type, fn){
+      (hostListeners[type] || (hostListeners[type] = [])).push(fn);
+      return ()=>api.off(type, fn);
+    },
+    off(type, fn){
+      const fns = hostListeners[type];
+      if(fns && fns.includes(fn)) fns.splice(fns.indexOf(fn), 1);
+    }
+  };
+  // command -> check of its arguments: what is wrong with them, or ''
+  const BRIDGE_COMMANDS = {
+    start: ()=>'',
+    pause: ()=>'',
+    resume: ()=>'',
+    restart: ()=>'',
+    mute: (muted)=>muted === undefined || typeof muted === 'boolean' ? '' : 'muted must be true or false',
+    getState: ()=>'',
+    observe: (count)=>count === undefined || (Number.isInteger(count) && count > 0) ? '' : 'count must be a positive integer',
+    act: (action)=>CactusAgent.ACTIONS.includes(action) ? '' : `action must be one of ${CactusAgent.ACTIONS.join(', ')}`
+  };
+  const BRIDGE_REPLIES = {getState: 'state', observe: 'observation'};
+  const bridge = root.parent && root.parent !== root ? createBridge(params.get('embedOrigin') || parentOrigin()) : null;
+  // the embedding page's origin as the browser reports it, or null
+  function parentOrigin(){
+    const ancestors = root.location.ancestorOrigins;
+    let origin = ancestors && ancestors.length ? ancestors[0] : null;
+    if(!origin && document.referrer){
+      try { origin = new URL(document.referrer).origin; }
+      catch(e){ origin = null; }
+    }
+    return origin && origin !== 'null' ? origin : null;
+  }
+  function createBridge(origin){
+    if(!origin){
+      console.warn('CactusRunner: the embedding page is unknown; add ?embedOrigin=<origin> to talk to it');
+      return null;
     }
+    const post = (type, data, id)=>{
+      const msg = {source: 'cactus-runner', type, data};
+      if(id !== undefined) msg.id = id;
+      root.parent.postMessage(msg, origin);
+    };
+    root.addEventListener('message', (e)=>{
+      const msg = e.data;
+      if(e.source !== root.parent || e.origin !== origin) return;
+      if(!msg || msg.target !== 'cactus-runner') return;
+      const command = msg.command;
+      const check = typeof command === 'string' && Object.prototype.hasOwnProperty.call(BRIDGE_COMMANDS, command) ? BRIDGE_COMMANDS[command] : null;
+      const args = Array.isArray(msg.args) ? msg.args : [];
+      const fail = (message)=>{ post('error', {command: String(command), message}, msg.id); };
+      const problem = check ? check(...args) : `unknown command: ${String(command)}`;
+      if(problem) return fail(problem);
+      let result;
+      try { result = api[command](...args); }
+      catch(err){ return fail(err.message); }
+      if(BRIDGE_REPLIES[command]) post(BRIDGE_REPLIES[command], result, msg.id);
+    });
+    return {post};
   }
+  if(!profileName) resumeSession();
+  if(bridge) bridge.post('ready', api.getState());
 
   // Utilities -----------------------------------------------
-  function lerp(a,b,t){ return a + (b-a)*t; }
-  function roundRectPath(x,y,w,h,r){
+  function interp(prev, cur){ return prev + (cur - prev) * renderAlpha; }
+  function roundRectPath(x,y,w,h,r,c = ctx){
     const rr = Math.min(r, w/2, h/2);
-    ctx.beginPath();
-    ctx.moveTo(x+rr, y);
-    ctx.arcTo(x+w, y, x+w, y+h, rr);
-    ctx.arcTo(x+w, y+h, x, y+h, rr);
-    ctx.arcTo(x, y+h, x, y, rr);
-    ctx.arcTo(x, y, x+w, y, rr);
-    ctx.closePath();
+    c.beginPath();
+    c.moveTo(x+rr, y);
+    c.arcTo(x+w, y, x+w, y+h, rr);
+    c.arcTo(x+w, y+h, x, y+h, rr);
+    c.arcTo(x, y+h, x, y, rr);
+    c.arcTo(x, y, x+w, y, rr);
+    c.closePath();
   }
 
   // Procedural spritesheet ----------------------------------
-  function createCactusSprites(){
-    const fw = 96, fh = 120; // frame size
+  // Procedural shaded cactus character in a skin's colours, hat and
+  // accessories (see CactusSkins.SKINS), drawn at res device pixels per
+  // logical pixel. Returns the sheet as CactusSkins.sheetFrame() reads it.
+  function createCactusSprites(res = 1, look = CactusSkins.SKINS.classic){
+    const fw = CHARACTER.frameW, fh = CHARACTER.frameH; // frame size
     const cols = 6; // grid layout
     const runN = 6, jumpN = 4, duckN = 4, hitN = 1;
     const total = runN + jumpN + duckN + hitN;
     const rows = Math.ceil(total / cols);
     const can = document.createElement('canvas');
-    can.width = cols * fw;
-    can.height = rows * fh;
+    can.width = cols * fw * res;
+    can.height = rows * fh * res;
     const c = can.getContext('2d');
+    c.scale(res, res);
 
     // helper to draw single frame
     function drawFrame(ix, draw){
@@ -568,20 +1955,19 @@
       c.restore();
     }
 
-    const green = '#43c156';
-    const greenDark = '#2a7a39';
-    const greenLight = '#6fe07d';
+    const {body: green, shade: greenDark, stripes: greenLight} = look;
+    const wears = new Set(look.accessories);
 
     function drawCactusCharacter(gc, pose){
       // pose contains: squash (0..1), armsAngL, armsAngR, yOffset, duck
       const duck = !!pose.duck;
-      const scaleY = duck ? 0.72 : 1.0;
-      const scaleX = duck ? 1.15 : 1.0;
+      const scaleY = duck ? CHARACTER.duck.scaleY : 1.0;
+      const scaleX = duck ? CHARACTER.duck.scaleX : 1.0;
       gc.save();
       gc.scale(scaleX, scaleY);
-      gc.translate(0, -4);
+      gc.translate(0, -CHARACTER.lift);
       // body
-      const bodyW = 42, bodyH = 96;
+      const bodyW = CHARACTER.bodyW, bodyH = CHARACTER.bodyH;
       const r = 10;
       pathRoundRect(gc, -bodyW/2, -bodyH, bodyW, bodyH, r);
       gc.fillStyle = green;
@@ -597,7 +1983,6 @@
       drawArm(gc, bodyW/2, -bodyH*0.35, 1, pose.armsAngR||0);
       // face
       drawFace(gc, duck);
-      // cowboy hat
       drawHat(gc, duck);
       gc.restore();
     }
@@ -613,22 +1998,64 @@
       gc.restore();
     }
     function drawFace(gc, duck){
+      const half = CHARACTER.bodyW/2;
       gc.save();
       gc.translate(0, -72*(duck?0.85:1));
       // eyes
       gc.fillStyle = '#0e0e0e';
-      gc.fillRect(-10, -6, 4, 6);
-      gc.fillRect(6, -6, 4, 6);
-      // smile
-      gc.fillRect(-6, 6, 12, 3);
+      if(wears.has('sunglasses')){
+        pathRoundRect(gc, -13, -8, 11, 8, 3); gc.fill();
+        pathRoundRect(gc, 2, -8, 11, 8, 3); gc.fill();
+        gc.fillRect(-2, -6, 4, 2);
+      } else {
+        gc.fillRect(-10, -6, 4, 6);
+        gc.fillRect(6, -6, 4, 6);
+      }
+      // smile, or a bandana over it
+      if(wears.has('bandana')){
+        gc.fillStyle = look.accent;
+        gc.beginPath(); gc.moveTo(-half, 2); gc.lineTo(half, 2); gc.lineTo(0, 20); gc.closePath(); gc.fill();
+      } else gc.fillRect(-6, 6, 12, 3);
+      if(wears.has('scarf')){
+        gc.fillStyle = look.accent;
+        gc.fillRect(-half - 1, 16, 2*half + 2, 7);
+        gc.fillRect(half - 9, 20, 7, 16);
+      }
       gc.restore();
     }
+    // every hat keeps to the brim and crown boxes
     function drawHat(gc, duck){
       gc.save();
-      gc.translate(0, -96*(duck?0.85:1) - 8);
-      gc.fillStyle = '#6b4f2a';
-      pathRoundRect(gc, -28, -6, 56, 12, 6); gc.fill();
-      pathRoundRect(gc, -14, -20, 28, 16, 6); gc.fill();
+      const {bodyH, hatLift, hatBrim: b, hatCrown: c} = CHARACTER;
+      gc.translate(0, -bodyH*(duck?CHARACTER.duck.headScale:1) - hatLift);
+      gc.fillStyle = look.hatColor;
+      if(look.hat === 'sombrero'){
+        gc.beginPath(); gc.ellipse(0, b[1] + b[3]/2, b[2]/2, b[3]/2, 0, 0, Math.PI*2); gc.fill();
+        gc.beginPath();
+        gc.moveTo(c[0], c[1] + c[3]); gc.lineTo(c[0] + 5, c[1] + 4);
+        gc.quadraticCurveTo(0, c[1] - 2, c[0] + c[2] - 5, c[1] + 4);
+        gc.lineTo(c[0] + c[2], c[1] + c[3]); gc.closePath(); gc.fill();
+      } else if(look.hat === 'beanie'){
+        gc.beginPath(); gc.ellipse(0, b[1] + b[3], b[2]/2 - 6, b[3] - c[1] - 6, 0, Math.PI, Math.PI*2); gc.fill();
+        if(look.band){ gc.fillStyle = look.band; gc.beginPath(); gc.arc(0, c[1] + 5, 5, 0, Math.PI*2); gc.fill(); }
+      } else {
+        pathRoundRect(gc, b[0], b[1], b[2], b[3], 6); gc.fill();
+        pathRoundRect(gc, c[0], c[1], c[2], c[3], 6); gc.fill();
+      }
+      if(look.band){
+        gc.fillStyle = look.band;
+        if(look.hat === 'beanie') gc.fillRect(b[0] + 6, b[1] + b[3] - 5, b[2] - 12, 5);
+        else gc.fillRect(c[0], c[1] + c[3] - 5, c[2], 4);
+      }
+      if(wears.has('flower')){
+        gc.fillStyle = look.accent;
+        for(let i=0;i<5;i++){
+          const a = i / 5 * Math.PI * 2;
+          gc.beginPath(); gc.arc(c[0] + c[2] + 4 + Math.cos(a)*3.5, c[1] + c[3] - 4 + Math.sin(a)*3.5, 3, 0, Math.PI*2); gc.fill();
+        }
+        gc.fillStyle = '#f2c94c';
+        gc.beginPath(); gc.arc(c[0] + c[2] + 4, c[1] + c[3] - 4, 2.2, 0, Math.PI*2); gc.fill();
+      }
       gc.restore();
     }
     function pathRoundRect(gc,x,y,w,h,r){
@@ -673,16 +2100,20 @@
       gc.restore();
     });
 
+    const frames = (from, n) => Array.from({length:n}, (_,i)=>({index: from + i, hitbox: null}));
     return {
-      canvas: can,
-      fw, fh, cols,
-      maps: {
-        run: Array.from({length:runN}, (_,i)=>i),
-        jump: Array.from({length:jumpN}, (_,i)=>runN+i),
-        duck: Array.from({length:duckN}, (_,i)=>runN+jumpN+i),
-        hit: [runN+jumpN+duckN]
+      image: can, cols, res,
+      sheet: {
+        frameWidth: fw, frameHeight: fh, res,
+        animations: {
+          run: {frames: frames(0, runN), fps: 12, loop: true},
+          jump: {frames: frames(runN, jumpN), fps: 12, loop: true},
+          duck: {frames: frames(runN+jumpN, duckN), fps: 10, loop: true},
+          hit: {frames: frames(runN+jumpN+duckN, hitN), fps: 12, loop: true}
+        }
       }
     };
   }
 
-})();
\ No newline at end of file
+  return api;
+});
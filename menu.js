@@ -0,0 +1,140 @@
+/* Cactus Runner - menu screens: a focus-managed screen stack in the HUD layer */
+(function(root){
+  'use strict';
+
+  const FOCUSABLE = 'button:not([hidden]):not([disabled]), input:not([disabled])';
+
+  // createMenu(el, {onBack, onShow}) -> menu over the <section data-screen="id">
+  // children of el. Each screen's heading (h2) labels the dialog for screen readers.
+  // onBack(screenId) runs when back() is used on the bottom screen; onShow(screenId)
+  // each time a screen is shown, to bring its contents up to date.
+  function createMenu(el, opts = {}){
+    const screens = {};
+    for(const s of Array.from(el.querySelectorAll('[data-screen]'))) screens[s.dataset.screen] = s;
+    const stack = [];
+
+    function current(){ return stack[stack.length-1] || null; }
+    function focusables(){
+      const s = screens[current()];
+      return s ? Array.from(s.querySelectorAll(FOCUSABLE)).filter(f => !f.closest('[hidden]')) : [];
+    }
+    function render(focus){
+      const id = current();
+      for(const key in screens) screens[key].hidden = key !== id;
+      el.hidden = !id;
+      if(!id) return;
+      if(opts.onShow) opts.onShow(id);
+      const heading = screens[id].querySelector('h1, h2');
+      if(heading) el.setAttribute('aria-labelledby', heading.id);
+      if(focus){
+        const first = focusables()[0];
+        if(first) first.focus();
+      }
+    }
+
+    // open() replaces the stack, push() stacks a sub-screen on top
+    function open(id, focus = true){
+      if(!screens[id]) throw new Error(`Unknown menu screen: ${id}`);
+      stack.length = 0;
+      stack.push(id);
+      render(focus);
+    }
+    function push(id){
+      if(!screens[id]) throw new Error(`Unknown menu screen: ${id}`);
+      stack.push(id);
+      render(true);
+    }
+    function back(){
+      if(stack.length > 1){
+        const from = stack.pop();
+        render(false);
+        // return focus to the control that opened the sub-screen
+        const opener = screens[current()].querySelector(`[data-push="${from}"]`);
+        const target = opener || focusables()[0];
+        if(target) target.focus();
+      } else if(opts.onBack) opts.onBack(current());
+    }
+    function close(){
+      stack.length = 0;
+      render(false);
+    }
+
+    // Moves focus through the screen's controls, wrapping at the ends
+    function move(dir){
+      const list = focusables();
+      if(!list.length) return;
+      const i = list.indexOf(document.activeElement);
+      const next = i < 0 ? (dir > 0 ? 0 : list.length - 1) : (i + dir + list.length) % list.length;
+      list[next].focus();
+    }
+    // Left/right on the focused control: step a slider or cycle a radio group
+    function adjust(dir){
+      const f = document.activeElement;
+      if(!f || !el.contains(f) || f.tagName !== 'INPUT') return;
+      if(f.type === 'range'){
+        const step = Number(f.step) || 1;
+        const v = Math.min(Number(f.max), Math.max(Number(f.min), Number(f.value) + dir * step));
+        f.value = String(v);
+        f.dispatchEvent(new Event('input', {bubbles: true}));
+      } else if(f.type === 'radio'){
+        const group = Array.from(el.querySelectorAll(`input[type="radio"][name="${f.name}"]`));
+        const next = group[(group.indexOf(f) + dir + group.length) % group.length];
+        next.focus();
+        next.click();
+      }
+    }
+    function activate(){
+      const f = document.activeElement;
+      if(f && el.contains(f)) f.click();
+    }
+
+    // Keyboard: Up/Down move between controls (Left/Right keep their native
+    // meaning on sliders and radios), Escape goes back. Returns true if handled.
+    function handleKey(e){
+      if(!current()) return false;
+      if(e.code === 'ArrowDown' || e.code === 'ArrowUp'){
+        e.preventDefault();
+        move(e.code === 'ArrowDown' ? 1 : -1);
+        return true;
+      }
+      if(e.code === 'Escape'){
+        e.preventDefault();
+        back();
+        return true;
+      }
+      return false;
+    }
+    // Gamepad navigation from CactusInput's pollMenu()
+    function handleNav(nav){
+      if(!current()) return;
+      if(nav === 'up') move(-1);
+      else if(nav === 'down') move(1);
+      else if(nav === 'left') adjust(-1);
+      else if(nav === 'right') adjust(1);
+      else if(nav === 'confirm') activate();
+      else if(nav === 'back') back();
+    }
+
+    // data-push="screen" buttons open sub-screens, data-back buttons go back
+    el.addEventListener('click', (e)=>{
+      const btn = e.target.closest && e.target.closest('button');
+      if(!btn || !el.contains(btn)) return;
+      if(btn.dataset.push) push(btn.dataset.push);
+      else if(btn.hasAttribute('data-back')) back();
+    });
+
+    return {
+      get isOpen(){ return !!current(); },
+      get screen(){ return current(); },
+      open,
+      push,
+      back,
+      close,
+      move,
+      handleKey,
+      handleNav
+    };
+  }
+
+  root.CactusMenu = {createMenu};
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,114 @@
+/* Cactus Runner - pooled particles and floating text popups */
+(function(root){
+  'use strict';
+
+  // createParticleSystem({capacity}) -> pool of particles in world coordinates.
+  // All particles are allocated up front; emitting when the pool is full
+  // drops the new particle rather than growing it.
+  function createParticleSystem(opts = {}){
+    const capacity = opts.capacity || 256;
+    const pool = [];
+    const free = [];
+    for(let i=0;i<capacity;i++){
+      pool.push({alive: false, x: 0, y: 0, vx: 0, vy: 0, gravity: 0, drag: 0, life: 0, age: 0,
+        size: 0, color: '', shape: 'square', spin: 0, angle: 0, text: ''});
+      free.push(capacity - 1 - i);
+    }
+    let live = 0;
+
+    // p: {x, y, vx, vy, gravity, drag, life (s), size, color, shape, spin, text}
+    // shape: 'square' | 'circle' | 'feather' | 'text'
+    function emit(p){
+      if(!free.length) return null;
+      const q = pool[free.pop()];
+      q.alive = true;
+      q.x = p.x; q.y = p.y;
+      q.vx = p.vx || 0; q.vy = p.vy || 0;
+      q.gravity = p.gravity || 0;
+      q.drag = p.drag || 0;
+      q.life = p.life || 0.5;
+      q.age = 0;
+      q.size = p.size || 3;
+      q.color = p.color || '#fff';
+      q.shape = p.shape || 'square';
+      q.spin = p.spin || 0;
+      q.angle = 0;
+      q.text = p.text || '';
+      live++;
+      return q;
+    }
+    // count particles spread around angle (rad) +- spread, speeds in [min, max]
+    function burst(count, base, {angle = -Math.PI/2, spread = Math.PI, speed = [40, 120]} = {}){
+      for(let i=0;i<count;i++){
+        const a = angle + (Math.random() - 0.5) * spread;
+        const v = speed[0] + Math.random() * (speed[1] - speed[0]);
+        emit(Object.assign({}, base, {vx: (base.vx || 0) + Math.cos(a) * v, vy: (base.vy || 0) + Math.sin(a) * v, spin: (Math.random() - 0.5) * 10}));
+      }
+    }
+
+    function update(dt){
+      if(!live || dt <= 0) return;
+      for(let i=0;i<capacity;i++){
+        const p = pool[i];
+        if(!p.alive) continue;
+        p.age += dt;
+        if(p.age >= p.life){
+          p.alive = false;
+          free.push(i);
+          live--;
+          continue;
+        }
+        const k = Math.max(0, 1 - p.drag * dt);
+        p.vx *= k; p.vy = p.vy * k + p.gravity * dt;
+        p.x += p.vx * dt;
+        p.y += p.vy * dt;
+        p.angle += p.spin * dt;
+      }
+    }
+
+    function draw(ctx){
+      if(!live) return;
+      ctx.save();
+      for(const p of pool){
+        if(!p.alive) continue;
+        const t = p.age / p.life;
+        ctx.globalAlpha = 1 - t * t;
+        ctx.fillStyle = p.color;
+        if(p.shape === 'text'){
+          ctx.font = `900 ${p.size}px Nunito, system-ui`;
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(p.text, p.x, p.y);
+        } else if(p.shape === 'circle'){
+          ctx.beginPath(); ctx.arc(p.x, p.y, p.size * (1 + t), 0, Math.PI*2); ctx.fill();
+        } else if(p.shape === 'feather'){
+          ctx.save();
+          ctx.translate(p.x, p.y);
+          ctx.rotate(p.angle);
+          ctx.beginPath(); ctx.ellipse(0, 0, p.size * 2, p.size * 0.7, 0, 0, Math.PI*2); ctx.fill();
+          ctx.restore();
+        } else {
+          ctx.fillRect(p.x - p.size/2, p.y - p.size/2, p.size, p.size);
+        }
+      }
+      ctx.restore();
+    }
+
+    function clear(){
+      free.length = 0;
+      for(let i=capacity-1;i>=0;i--){ pool[i].alive = false; free.push(i); }
+      live = 0;
+    }
+
+    return {
+      emit,
+      burst,
+      update,
+      draw,
+      clear,
+      get live(){ return live; }
+    };
+  }
+
+  root.CactusParticles = {createParticleSystem};
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,141 @@
+/* Cactus Runner - sharing: score card images and short gameplay clips */
+(function(root){
+  'use strict';
+
+  const CARD_W = 1200, CARD_H = 630; // the usual social preview size
+  const CLIP_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+  // composeCard({frame, character, score, best, newBest, distance, date}) -> canvas
+  // frame: the game canvas as it is now; character: {image, sx, sy, sw, sh,
+  // dw, dh} a sprite frame and its drawn size; newBest: the score beat the
+  // best before it (a tie doesn't); distance in metres.
+  function composeCard(o){
+    const can = document.createElement('canvas');
+    can.width = CARD_W;
+    can.height = CARD_H;
+    const c = can.getContext('2d');
+    c.fillStyle = '#0b0f14';
+    c.fillRect(0, 0, CARD_W, CARD_H);
+    // the last frame fills the card width, cropped to the band above the footer
+    const bandH = CARD_H - 150;
+    const k = CARD_W / o.frame.width;
+    const srcH = Math.min(o.frame.height, bandH / k);
+    c.drawImage(o.frame, 0, o.frame.height - srcH, o.frame.width, srcH, 0, 0, CARD_W, srcH * k);
+    c.fillStyle = 'rgba(0,0,0,0.35)';
+    c.fillRect(0, 0, CARD_W, bandH);
+
+    const ch = o.character;
+    if(ch){
+      const s = 2.2;
+      c.drawImage(ch.image, ch.sx, ch.sy, ch.sw, ch.sh, CARD_W - 60 - ch.dw * s, CARD_H - 24 - ch.dh * s, ch.dw * s, ch.dh * s);
+    }
+    c.fillStyle = '#f2f5f7';
+    c.textBaseline = 'alphabetic';
+    c.font = '900 44px Nunito, system-ui';
+    c.fillText('Cactus Runner', 56, 96);
+    c.font = '900 150px Nunito, system-ui';
+    c.fillText(String(o.score).padStart(5, '0'), 48, 300);
+    c.font = '700 34px Nunito, system-ui';
+    c.fillStyle = '#c7d0d8';
+    const best = o.newBest ? 'New best!' : `Best ${String(o.best).padStart(5, '0')}`;
+    c.fillText(`${best}  ·  ${o.distance} m  ·  ${o.date.toLocaleDateString()}`, 56, CARD_H - 60);
+    return can;
+  }
+  function toBlob(can, type = 'image/png'){
+    return new Promise((resolve, reject)=>{
+      can.toBlob(b => b ? resolve(b) : reject(new Error('Could not encode the image')), type);
+    });
+  }
+
+  function download(blob, filename){
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    setTimeout(()=>URL.revokeObjectURL(a.href), 0);
+  }
+  // The Web Share sheet where the browser can share files, a download
+  // otherwise. Resolves to 'shared', 'downloaded' or 'cancelled'.
+  function share(blob, filename, text){
+    const nav = root.navigator;
+    const file = typeof File === 'function' ? new File([blob], filename, {type: blob.type}) : null;
+    if(file && nav && nav.share && nav.canShare && nav.canShare({files: [file]})){
+      return nav.share({files: [file], title: 'Cactus Runner', text})
+        .then(()=>'shared', (err)=>{
+          if(err.name === 'AbortError') return 'cancelled';
+          console.warn('Share failed, downloading instead:', err.message);
+          download(blob, filename);
+          return 'downloaded';
+        });
+    }
+    download(blob, filename);
+    return Promise.resolve('downloaded');
+  }
+
+  // Clips ------------------------------------------------------
+  function clipType(){
+    const MR = root.MediaRecorder;
+    if(!MR) return null;
+    return CLIP_TYPES.find(t => !MR.isTypeSupported || MR.isTypeSupported(t)) || null;
+  }
+  function clipsSupported(canvas){ return !!(clipType() && canvas.captureStream); }
+
+  // createClipRecorder(canvas, {seconds, fps}) -> {start(), finish(), stop()}
+  // keeping roughly the last `seconds` of the canvas. A WebM can't be trimmed
+  // from the front, so two recorders take turns: each restarts every
+  // `seconds`, half a period apart, and finish() keeps the older one, which
+  // holds between seconds/2 and seconds of footage.
+  function createClipRecorder(canvas, opts = {}){
+    const seconds = opts.seconds || 6;
+    const fps = opts.fps || 30;
+    const type = clipType();
+    let stream = null;
+    const slots = [null, null];
+    let timer = null;
+    let turn = 0;
+
+    function begin(i){
+      if(slots[i] && slots[i].rec.state !== 'inactive') slots[i].rec.stop();
+      const rec = new root.MediaRecorder(stream, {mimeType: type, videoBitsPerSecond: 2500000});
+      const slot = {rec, chunks: [], startedAt: performance.now()};
+      rec.ondataavailable = (e)=>{ if(e.data && e.data.size) slot.chunks.push(e.data); };
+      rec.start();
+      slots[i] = slot;
+    }
+    function start(){
+      stop();
+      if(!stream) stream = canvas.captureStream(fps);
+      begin(0);
+      turn = 1;
+      timer = setInterval(()=>{ begin(turn); turn ^= 1; }, seconds * 500);
+    }
+    // Ends recording; resolves to the clip as a Blob, or null if there is none
+    function finish(){
+      clearInterval(timer);
+      timer = null;
+      const live = slots.filter(Boolean);
+      slots[0] = slots[1] = null;
+      if(!live.length) return Promise.resolve(null);
+      const keep = live.reduce((a, b) => a.startedAt <= b.startedAt ? a : b);
+      for(const slot of live) if(slot !== keep && slot.rec.state !== 'inactive') slot.rec.stop();
+      return new Promise((resolve)=>{
+        keep.rec.onstop = ()=>{ resolve(keep.chunks.length ? new Blob(keep.chunks, {type: keep.rec.mimeType || type}) : null); };
+        if(keep.rec.state === 'inactive') keep.rec.onstop();
+        else keep.rec.stop();
+      });
+    }
+    // Ends recording and drops the footage
+    function stop(){
+      clearInterval(timer);
+      timer = null;
+      for(let i=0;i<slots.length;i++){
+        if(slots[i] && slots[i].rec.state !== 'inactive') slots[i].rec.stop();
+        slots[i] = null;
+      }
+    }
+
+    return {start, finish, stop};
+  }
+
+  root.CactusShare = {composeCard, toBlob, download, share, clipsSupported, createClipRecorder, CARD_W, CARD_H};
+})(typeof self !== 'undefined' ? self : this);
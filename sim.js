@@ -0,0 +1,1405 @@
+/* Cactus Runner - headless simulation core (no DOM, runs in browsers and Node) */
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.CactusSim = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  // Constants -----------------------------------------------
+  const WORLD_WIDTH = 720;
+  const WORLD_HEIGHT = 300;
+  const groundY = WORLD_HEIGHT - 60;
+  const gravity = 2400; // px/s^2
+  const initialJumpVY = -780; // px/s
+  const extraJumpAccel = -gravity * 0.45;
+  const maxHoldJumpSec = 0.12;
+  const FIXED_DT = 1/120; // physics & spawning step, identical on every display
+  const replayDtScale = 10000; // v1 replay dt unit: 0.1ms
+  const playerStartX = 90;
+  const SPAWN_X = WORLD_WIDTH + 20; // obstacles appear just off the right edge
+
+  // Inputs a step can carry; their index is the replay encoding
+  const ACTIONS = ['startJump','endJump','startDuck','endDuck','togglePause'];
+
+  // Shapes --------------------------------------------------
+  // Geometry shared by the renderer and collision so hitboxes match the art.
+  // Rects are [x, y, w, h] relative to the entity anchor: cactus base center,
+  // bird body center, player feet center, tumbleweed center, the left end of
+  // a pit's rim and of an overhang's underside.
+  const CACTUS_KINDS = [
+    {bodyW:18, bodyH:44, color:'#2e9c3a'}, // regular
+    {bodyW:16, bodyH:56, color:'#2b8d35'}, // taller
+    {bodyW:24, bodyH:40, color:'#25852f'}  // wider
+  ];
+  const CACTUS_ARM = {w:10, h:18, elbowH:8, reach:6, leftAt:0.45, rightAt:0.3};
+  const CACTUS_PITCH = 34; // 28px cactus + 6px gap, before scale
+  const BIRD_PARTS = {
+    body: [-20, -16, 40, 24],
+    head: [12, -18, 18, 16],
+    beak: [30, -10, 10, 8]
+  };
+  const PIT_DEPTH = 60; // drawn depth; the hitbox reaches this far below the rim
+  const PIT_FALL = 24; // px below the rim a falling player can't climb back from
+  const TUMBLEWEED_CORE = 0.8; // hitbox half-size as a share of the radius
+  const OVERHANG_CLEARANCE = 56; // px from the ground to a ledge's underside;
+  // the rock reaches up past the top of the screen, so it can't be jumped
+  const MAX_GROUND_RISE = 40; // px the terrain may climb above groundY
+  const MAX_GRADE = 1/8; // steepest slope: rise per px
+  // Procedural player sprite: frame size and body/hat layout in frame pixels
+  const CHARACTER = {
+    frameW: 96, frameH: 120,
+    bodyW: 42, bodyH: 96, lift: 4,
+    duck: {scaleX: 1.15, scaleY: 0.72, headScale: 0.85},
+    hatLift: 8,
+    hatBrim: [-28, -6, 56, 12],
+    hatCrown: [-14, -20, 28, 16]
+  };
+  // drawn size of a sprite frame for each pose
+  const PLAYER_POSES = {
+    run: {dw:70, dh:96},
+    jump: {dw:70, dh:96},
+    duck: {dw:90, dh:62},
+    hit: {dw:64, dh:100}
+  };
+  const defaultForgiveness = 3; // px shaved off every player box
+  const NEAR_MISS_PX = 10; // clearing an obstacle by less than this is a near miss
+  const AUTO_DUCK_LEAD = 0.22; // s before a duck-only obstacle reaches the player
+
+  // Scoring: a point per SCORE_DISTANCE_PX run, a point per obstacle cleared
+  // times the combo multiplier, and a bonus for near misses. The combo counts
+  // clears in a row; it breaks when the player touches an obstacle (a shield
+  // takes the hit) or ducks with nothing overhead coming.
+  const SCORE_DISTANCE_PX = 100; // 10 m
+  const COMBO_STEP = 5; // clears per step up of the multiplier
+  const MAX_MULTIPLIER = 5;
+  const NEAR_MISS_BONUS = 5; // points for a graze at 0 px, down to 1 at NEAR_MISS_PX
+  const DUCK_GRACE = 0.6; // s ahead a duck-only obstacle makes a duck count as needed
+  const MILESTONE = 100; // points between 'milestone' events
+  const SCORING_VERSION = 2; // bumped when a score stops meaning the same; 1 was a point per obstacle
+  function comboMultiplier(combo){ return Math.min(MAX_MULTIPLIER, 1 + Math.floor(combo / COMBO_STEP)); }
+
+  // Collectibles: coins score, the rest start a timed effect (seconds)
+  const PICKUP_KINDS = {
+    coin:       {duration: 0, value: 1},
+    shield:     {duration: 12}, // absorbs one hit
+    slowmo:     {duration: 5, factor: 0.6}, // scales world speed and spawn clock
+    doubleJump: {duration: 10, vy: -700}, // one extra jump in the air
+    magnet:     {duration: 8, radius: 170, pull: 520} // coins drift to the player
+  };
+  const PICKUP_SIZE = 24;
+  const EFFECTS = Object.keys(PICKUP_KINDS).filter(k => PICKUP_KINDS[k].duration > 0);
+
+  // stem, left arm, left elbow, right arm, right elbow
+  function cactusParts(kind, s){
+    const {bodyW: bw, bodyH: bh} = CACTUS_KINDS[kind];
+    const a = CACTUS_ARM;
+    const bodyW = bw*s, bodyH = bh*s, armW = a.w*s, armH = a.h*s;
+    const leftX = -bodyW/2 - armW + 2*s, leftY = -bodyH*a.leftAt;
+    const rightX = bodyW/2 - 2*s, rightY = -bodyH*a.rightAt;
+    return [
+      [-bodyW/2, -bodyH, bodyW, bodyH],
+      [leftX, leftY, armW, armH],
+      [leftX, leftY + armH - 6*s, armW + a.reach*s, a.elbowH*s],
+      [rightX, rightY, armW, armH],
+      [rightX - a.reach*s, rightY + armH - 6*s, armW + a.reach*s, a.elbowH*s]
+    ];
+  }
+
+  function playerPose(state){
+    const p = state.player;
+    if(state.gameOver) return 'hit';
+    if(p.sprite==='duck' && p.grounded) return 'duck';
+    if(!p.grounded) return 'jump';
+    return 'run';
+  }
+
+  // Body and hat of the sprite, scaled to the drawn size and clipped to the
+  // frame. Arms swing every frame and are left out on purpose.
+  const playerBoxCache = {};
+  function playerBoxes(pose){
+    if(playerBoxCache[pose]) return playerBoxCache[pose];
+    const c = CHARACTER;
+    const duck = pose === 'duck';
+    const kx = duck ? c.duck.scaleX : 1, ky = duck ? c.duck.scaleY : 1;
+    const headScale = duck ? c.duck.headScale : 1;
+    const sx = kx * PLAYER_POSES[pose].dw / c.frameW;
+    const sy = ky * PLAYER_POSES[pose].dh / c.frameH;
+    const top = -PLAYER_POSES[pose].dh;
+    const hatY = -c.lift - c.bodyH*headScale - c.hatLift;
+    const local = [
+      [-c.bodyW/2, -c.lift - c.bodyH, c.bodyW, c.bodyH],
+      [c.hatBrim[0], hatY + c.hatBrim[1], c.hatBrim[2], c.hatBrim[3]],
+      [c.hatCrown[0], hatY + c.hatCrown[1], c.hatCrown[2], c.hatCrown[3]]
+    ];
+    const boxes = [];
+    for(const [x, y, w, h] of local){
+      const by = Math.max(top, y*sy);
+      const bh = y*sy + h*sy - by;
+      if(bh > 0) boxes.push([x*sx, by, w*sx, bh]);
+    }
+    return (playerBoxCache[pose] = boxes);
+  }
+
+  // World-space hitboxes ----------------------------------------
+  function getPlayerBoxes(state, inset = 0){
+    const p = state.player;
+    return playerBoxes(playerPose(state)).map(([x, y, w, h])=>[
+      p.x + x + inset, p.y + y + inset, Math.max(0, w - 2*inset), Math.max(0, h - 2*inset)
+    ]);
+  }
+  function getEntityBoxes(e){
+    const out = [];
+    if(e.type === 'cactusCluster'){
+      for(let i=0;i<e.count;i++){
+        const cx = e.x + i*CACTUS_PITCH*e.scale;
+        for(const [x, y, w, h] of cactusParts(i % CACTUS_KINDS.length, e.scale)) out.push([cx + x, e.y + y, w, h]);
+      }
+    } else if(e.type === 'bird'){
+      for(const key in BIRD_PARTS){
+        const [x, y, w, h] = BIRD_PARTS[key];
+        out.push([e.x + x, e.y + y, w, h]);
+      }
+    } else if(e.type === 'pickup'){
+      out.push([e.x - PICKUP_SIZE/2, e.y - PICKUP_SIZE/2, PICKUP_SIZE, PICKUP_SIZE]);
+    } else if(e.type === 'tumbleweed'){
+      const r = e.w/2 * TUMBLEWEED_CORE;
+      out.push([e.x - r, e.y - r, 2*r, 2*r]);
+    } else if(e.type === 'pit'){
+      out.push([e.x, e.y, e.w, PIT_DEPTH]);
+    } else if(e.type === 'overhang'){
+      out.push([e.x, e.y - e.h, e.w, e.h]);
+    }
+    return out;
+  }
+  function boxesOverlap(as, bs){
+    for(const a of as){
+      for(const b of bs){
+        if(aabb(a[0], a[1], a[2], a[3], b[0], b[1], b[2], b[3])) return true;
+      }
+    }
+    return false;
+  }
+
+  // Difficulty profiles -------------------------------------
+  // A profile is plain JSON data:
+  //   curve:     [{time, speed, spawnGap}] sorted by time (s); speed (px/s) and the
+  //              gap between patterns (s) are interpolated linearly between rows
+  //   gapJitter: spawnGap is scaled by a random factor in 1 ± gapJitter
+  //   tiers:     [{from, weights: {patternId: weight}}]; the last tier whose
+  //              `from` (s) has passed picks the next pattern
+  //   patterns:  {patternId: [obstacle, ...]} spawned in order, each `gap`
+  //              seconds after the previous one (seconds-at-speed)
+  //   pickups:   optional {chance, weights: {kind: weight}}: chance (0..1) that
+  //              an obstacle comes with a collectible placed where the move
+  //              that clears it passes through
+  // Obstacles are {type:'cactus', count, scale} or {type:'bird', height, bob};
+  // count may be [min, max], scale and height may be lists to pick from, and
+  // bob is the chance (0..1) the bird bobs. Besides those:
+  //   {type:'pit', width}                 a gap in the ground to jump (px)
+  //   {type:'tumbleweed', size, bounce, roll}  a bouncing ball: radius (px),
+  //                                       bounce height (px) and how much
+  //                                       faster than the ground it rolls (px/s)
+  //   {type:'overhang', width}            a rock ledge to duck under (px)
+  //   {type:'slope', rise, length}        the ground climbs (or, near the top,
+  //                                       falls) `rise` px over `length` px
+  // and every one of their numbers may be a list to pick from. Slopes aren't
+  // obstacles: they are left out when checking obstacles' spacing.
+  const BIRD_HEIGHTS = {high: 110, mid: 70, low: 30}; // px above the ground
+  const DEFAULT_PROFILE = {
+    name: 'normal',
+    curve: [
+      {time: 0, speed: 320, spawnGap: 1.15},
+      {time: 15, speed: 560, spawnGap: 0.65}
+    ],
+    gapJitter: 0.25,
+    tiers: [
+      {from: 0, weights: {cactus: 60, bird: 40}},
+      {from: 30, weights: {cactus: 50, bird: 34, 'cactus-pair': 8, 'hop-duck': 8}},
+      {from: 60, weights: {cactus: 40, bird: 26, 'cactus-pair': 8, 'hop-duck': 8, pit: 6, tumbleweed: 6, overhang: 6}}
+    ],
+    patterns: {
+      cactus: [{type: 'cactus', count: [1, 3], scale: [1, 1.2]}],
+      bird: [{type: 'bird', height: ['high', 'mid', 'low'], bob: 0.5}],
+      'cactus-pair': [
+        {type: 'cactus', count: 1, scale: 1},
+        {type: 'cactus', count: [1, 2], scale: 1, gap: 0.95}
+      ],
+      'hop-duck': [
+        {type: 'cactus', count: 1, scale: [1, 1.2]},
+        {type: 'bird', height: 'mid', bob: 0, gap: 1.1}
+      ],
+      pit: [{type: 'pit', width: [50, 70, 90]}],
+      tumbleweed: [{type: 'tumbleweed', size: [12, 16], bounce: [16, 32], roll: [30, 60]}],
+      overhang: [
+        {type: 'slope', rise: [16, 24], length: 320},
+        {type: 'overhang', width: [60, 120], gap: 0.2}
+      ]
+    },
+    pickups: {chance: 0.3, weights: {coin: 70, shield: 8, slowmo: 8, doubleJump: 7, magnet: 7}}
+  };
+
+  // Difficulty presets: the default profile with its curve's speeds and
+  // spawn gaps scaled. Each still has to pass validateProfile().
+  function scaleProfile(base, name, {speed = 1, spawnGap = 1}){
+    const profile = JSON.parse(JSON.stringify(base));
+    profile.name = name;
+    profile.curve = base.curve.map(r => ({
+      time: r.time,
+      speed: Math.round(r.speed * speed),
+      spawnGap: Math.round(r.spawnGap * spawnGap * 100) / 100
+    }));
+    return profile;
+  }
+  const PRESETS = {
+    easy: scaleProfile(DEFAULT_PROFILE, 'easy', {speed: 0.9, spawnGap: 1.2}),
+    normal: DEFAULT_PROFILE,
+    hard: scaleProfile(DEFAULT_PROFILE, 'hard', {speed: 1.15, spawnGap: 0.9})
+  };
+
+  function curveAt(profile, time){
+    const rows = profile.curve;
+    if(time <= rows[0].time) return rows[0];
+    for(let i=1;i<rows.length;i++){
+      const a = rows[i-1], b = rows[i];
+      if(time <= b.time){
+        const t = (time - a.time) / (b.time - a.time);
+        return {time, speed: lerp(a.speed, b.speed, t), spawnGap: lerp(a.spawnGap, b.spawnGap, t)};
+      }
+    }
+    return rows[rows.length-1];
+  }
+  function tierAt(profile, time){
+    let tier = profile.tiers[0];
+    for(const t of profile.tiers) if(t.from <= time) tier = t;
+    return tier;
+  }
+  function pickWeighted(weights, rng){
+    let total = 0;
+    for(const id in weights) total += weights[id];
+    let r = rng() * total;
+    for(const id in weights){
+      r -= weights[id];
+      if(r < 0) return id;
+    }
+    return Object.keys(weights).pop();
+  }
+  function choices(v){ return Array.isArray(v) ? v : [v]; }
+  function countRange(v){ return Array.isArray(v) ? v : [v, v]; }
+  function pick(v, rng){
+    const list = choices(v);
+    return list[(rng()*list.length)|0];
+  }
+  // Every combination of the listed values in `keys`, e.g. widths x bounces
+  function combinations(spec, keys){
+    let out = [{type: spec.type}];
+    for(const k of keys) out = out.flatMap(o => choices(spec[k]).map(v => Object.assign({}, o, {[k]: v})));
+    return out;
+  }
+  // what each of the other obstacle types is made of, every value picked from a list
+  const SPEC_KEYS = {pit: ['width'], overhang: ['width'], tumbleweed: ['size', 'bounce', 'roll'], slope: ['rise', 'length']};
+  const OBSTACLE_TYPES = ['cactus', 'bird', ...Object.keys(SPEC_KEYS)];
+
+  // Turn an obstacle spec into a concrete one, e.g. {type:'bird', height:'mid', bob:null}
+  function resolveObstacle(spec, rng){
+    if(spec.type === 'cactus'){
+      const [min, max] = countRange(spec.count);
+      const scales = choices(spec.scale);
+      return {
+        type: 'cactus',
+        count: min + (rng()*(max-min+1)|0),
+        scale: scales[(rng()*scales.length)|0]
+      };
+    }
+    if(SPEC_KEYS[spec.type]){
+      const o = {type: spec.type};
+      for(const k of SPEC_KEYS[spec.type]) o[k] = pick(spec[k], rng);
+      return o;
+    }
+    const height = pick(spec.height, rng);
+    const bob = rng() < (spec.bob || 0) ? {amp:12+rng()*10, speed: (rng()<0.5?-1:1)*60} : null; // px/s amplitude and directional bob speed
+    return {type: 'bird', height, bob, color: ['#2c3e50','#b33939','#2ecc71'][(rng()*3)|0]};
+  }
+  // Every concrete obstacle a spec can produce (bob and color left out)
+  function obstacleVariants(spec){
+    const out = [];
+    if(spec.type === 'cactus'){
+      const [min, max] = countRange(spec.count);
+      for(let count=min;count<=max;count++) for(const scale of choices(spec.scale)) out.push({type:'cactus', count, scale});
+    } else if(SPEC_KEYS[spec.type]){
+      out.push(...combinations(spec, SPEC_KEYS[spec.type]));
+    } else {
+      for(const height of choices(spec.height)) out.push({type:'bird', height, bob:null});
+    }
+    return out;
+  }
+  // Every field any entity type uses, so pooled objects keep one shape and a
+  // reused entity never carries state over from its last life
+  const ENTITY_BLANK = {type: '', kind: '', x: 0, y: 0, w: 0, h: 0, count: 0, scale: 1, baseY: 0, height: '',
+    bob: null, color: '', flapT: 0, vx: 0, vy: 0, bounceV: 0, prevX: 0, prevY: 0, scored: false, closest: Infinity,
+    passed: false, clear: 'none', dead: false};
+  // Fills `into` (a fresh object by default) with an obstacle at x standing on
+  // the ground at `ground` (y)
+  function makeEntity(o, x, into = {}, ground = groundY){
+    const e = Object.assign(into, ENTITY_BLANK);
+    e.x = e.prevX = x;
+    if(o.type === 'pit'){
+      e.type = 'pit';
+      e.y = e.prevY = ground;
+      e.w = o.width;
+      e.h = PIT_DEPTH;
+      return e;
+    }
+    if(o.type === 'overhang'){
+      e.type = 'overhang';
+      e.y = e.prevY = ground - OVERHANG_CLEARANCE;
+      e.w = o.width;
+      e.h = e.y + WORLD_HEIGHT; // up past the top of any viewport
+      return e;
+    }
+    if(o.type === 'tumbleweed'){
+      e.type = 'tumbleweed';
+      e.w = e.h = o.size * 2;
+      e.x = e.prevX = x + o.size;
+      e.y = e.prevY = ground - o.size;
+      e.vx = -o.roll;
+      e.bounceV = Math.sqrt(2 * gravity * o.bounce);
+      e.vy = -e.bounceV; // spawns on the ground, on its way up
+      return e;
+    }
+    if(o.type === 'cactus'){
+      const widthPer = 28*o.scale;
+      e.type = 'cactusCluster';
+      e.y = e.prevY = ground;
+      e.w = o.count * widthPer + (o.count-1)*6*o.scale;
+      e.h = 60*o.scale;
+      e.count = o.count;
+      e.scale = o.scale;
+      return e; // closest: smallest gap to the player's hitboxes so far
+    }
+    e.type = 'bird';
+    e.y = e.prevY = e.baseY = ground - BIRD_HEIGHTS[o.height];
+    e.height = o.height;
+    e.w = 46;
+    e.h = 34;
+    e.bob = o.bob;
+    e.color = o.color;
+    return e;
+  }
+  function makePickup(kind, x, y, into = {}){
+    const e = Object.assign(into, ENTITY_BLANK);
+    e.type = 'pickup';
+    e.kind = kind;
+    e.x = e.prevX = x;
+    e.y = e.prevY = y;
+    e.w = e.h = PICKUP_SIZE;
+    e.scored = true;
+    return e;
+  }
+
+  // Jump physics ------------------------------------------------
+  // Feet height per FIXED_DT step of a jump with the button held for `hold`
+  // s (throughout by default), integrated exactly like update() does.
+  const jumpArcCache = new Map();
+  function jumpArc(hold = maxHoldJumpSec){
+    if(jumpArcCache.has(hold)) return jumpArcCache.get(hold);
+    const heights = [];
+    let y = 0, vy = initialJumpVY, held = 0;
+    do {
+      if(held < hold){
+        const can = Math.min(hold - held, FIXED_DT);
+        vy += extraJumpAccel * can;
+        held += can;
+      }
+      vy += gravity * FIXED_DT;
+      y += vy * FIXED_DT;
+      heights.push(-y);
+    } while(y < 0);
+    const arc = {heights, airTime: heights.length * FIXED_DT, apex: Math.max(...heights)};
+    jumpArcCache.set(hold, arc);
+    return arc;
+  }
+  // [first, last] time after takeoff the feet are above h, or null if never
+  function timeAbove(h){
+    const {heights} = jumpArc();
+    let first = -1, last = -1;
+    heights.forEach((v, i)=>{ if(v > h){ if(first < 0) first = i; last = i; } });
+    return first < 0 ? null : [(first+1)*FIXED_DT, (last+1)*FIXED_DT];
+  }
+  function extent(boxes){
+    let l = Infinity, r = -Infinity, t = Infinity, b = -Infinity;
+    for(const [x, y, w, h] of boxes){
+      l = Math.min(l, x); r = Math.max(r, x + w); t = Math.min(t, y); b = Math.max(b, y + h);
+    }
+    return {l, r, t, b};
+  }
+  // Smallest separation between two box lists (0 when touching)
+  function boxesGap(as, bs){
+    let gap = Infinity;
+    for(const a of as) for(const b of bs){
+      const dx = Math.max(b[0] - (a[0] + a[2]), a[0] - (b[0] + b[2]), 0);
+      const dy = Math.max(b[1] - (a[1] + a[3]), a[1] - (b[1] + b[3]), 0);
+      gap = Math.min(gap, Math.max(dx, dy));
+    }
+    return gap;
+  }
+  function overlapsVertically(as, bs){
+    return as.some(a => bs.some(b => a[1] < b[1] + b[3] && a[1] + a[3] > b[1]));
+  }
+  // What a grounded player has to do about an obstacle: 'none', 'duck' or
+  // 'jump', plus the feet height a jump must clear and the time the obstacle
+  // spends overlapping the player horizontally at `speed`.
+  function obstacleDemand(o, speed, forgiveness){
+    if(o.type === 'slope') return {action:'none', span:0, lead:0};
+    const e = makeEntity(o, 0);
+    const standing = pose => getPlayerBoxes({gameOver:false, player:{x:0, y:groundY, grounded:pose!=='jump', sprite:pose}}, forgiveness);
+    const run = standing('run'), duck = standing('duck'), jump = extent(standing('jump'));
+    if(o.type === 'pit'){
+      // the player falls once their feet centre is over the pit, less forgiveness
+      const inner = Math.max(0, e.w - 2*forgiveness);
+      return {action:'jump', span: inner / speed, lead: forgiveness + jump.r, clearH: 0};
+    }
+    const boxes = getEntityBoxes(e);
+    const ex = extent(boxes);
+    // arrival offset relative to the entity anchor, for an entity spawned at
+    // SPAWN_X and closing at `speed`
+    let lead = ex.l, closing = speed;
+    if(o.type === 'tumbleweed'){
+      // it closes faster than the ground, and anywhere up to its bounce height
+      closing = speed + o.roll;
+      const front = playerStartX + jump.r;
+      lead = (SPAWN_X + ex.l - front) * speed / closing - SPAWN_X + front;
+      boxes[0][1] -= o.bounce;
+      boxes[0][3] += o.bounce;
+      ex.t -= o.bounce;
+    }
+    const span = (ex.r - ex.l + jump.r - jump.l) / closing;
+    if(!overlapsVertically(run, boxes)) return {action:'none', span, lead};
+    if(!overlapsVertically(duck, boxes)) return {action:'duck', span, lead};
+    return {action:'jump', span, lead, clearH: jump.b - ex.t};
+  }
+
+  // Validation --------------------------------------------------
+  // Returns a list of problems, empty when the profile is usable. Besides the
+  // shape of the data this checks every obstacle can be cleared on its own and
+  // that consecutive obstacles (inside a pattern, and between patterns at the
+  // shortest jittered spawnGap) leave time to land and act again. Bobbing is
+  // ignored: a bob passes through the bird's base height.
+  function validateProfile(profile, opts = {}){
+    const errors = [];
+    const forgiveness = opts.forgiveness === undefined ? defaultForgiveness : opts.forgiveness;
+    const isNum = v => typeof v === 'number' && isFinite(v);
+    if(!profile || typeof profile !== 'object') return ['profile must be an object'];
+    if(typeof profile.name !== 'string' || !profile.name) errors.push('name must be a non-empty string');
+
+    const curve = profile.curve;
+    if(!Array.isArray(curve) || !curve.length){
+      errors.push('curve must be a non-empty array');
+    } else {
+      curve.forEach((row, i)=>{
+        if(!row || !isNum(row.time) || !isNum(row.speed) || !isNum(row.spawnGap)) errors.push(`curve[${i}] needs numeric time, speed and spawnGap`);
+        else if(row.speed <= 0 || row.spawnGap <= 0) errors.push(`curve[${i}] speed and spawnGap must be positive`);
+        else if(i > 0 && curve[i-1] && row.time <= curve[i-1].time) errors.push(`curve[${i}] time must increase`);
+      });
+    }
+    if(!isNum(profile.gapJitter) || profile.gapJitter < 0 || profile.gapJitter >= 1) errors.push('gapJitter must be in [0, 1)');
+
+    const patterns = profile.patterns;
+    const patternIds = patterns && typeof patterns === 'object' ? Object.keys(patterns) : [];
+    if(!patternIds.length) errors.push('patterns must define at least one pattern');
+    for(const id of patternIds){
+      const list = patterns[id];
+      if(!Array.isArray(list) || !list.length){ errors.push(`pattern "${id}" must be a non-empty array`); continue; }
+      list.forEach((o, i)=>{
+        const where = `pattern "${id}" obstacle ${i+1}`;
+        if(!o || !OBSTACLE_TYPES.includes(o.type)){ errors.push(`${where}: type must be one of ${OBSTACLE_TYPES.join(', ')}`); return; }
+        if(i > 0 && (!isNum(o.gap) || o.gap <= 0)) errors.push(`${where}: gap must be a positive number of seconds`);
+        const within = (k, min, max) => {
+          if(!choices(o[k]).every(v => isNum(v) && v >= min && v <= max)) errors.push(`${where}: ${k} must be within ${min}..${max}`);
+        };
+        if(o.type === 'pit') within('width', 20, 200);
+        else if(o.type === 'overhang') within('width', 20, 400);
+        else if(o.type === 'tumbleweed'){
+          within('size', 8, 30);
+          within('bounce', 0, 120);
+          within('roll', 0, 400);
+        } else if(o.type === 'slope'){
+          within('rise', 1, MAX_GROUND_RISE);
+          const steep = choices(o.length).some(len => choices(o.rise).some(rise => rise > len * MAX_GRADE));
+          if(!choices(o.length).every(v => isNum(v) && v > 0) || steep) errors.push(`${where}: length must be at least ${1/MAX_GRADE} times the rise`);
+        } else if(o.type === 'cactus'){
+          const [min, max] = countRange(o.count);
+          if(!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min || max > 5) errors.push(`${where}: count must be 1..5 or [min, max]`);
+          if(!choices(o.scale).every(v => isNum(v) && v >= 0.5 && v <= 2)) errors.push(`${where}: scale must be within 0.5..2`);
+        } else {
+          if(!choices(o.height).every(h => h in BIRD_HEIGHTS)) errors.push(`${where}: height must be one of ${Object.keys(BIRD_HEIGHTS).join(', ')}`);
+          if(o.bob !== undefined && (!isNum(o.bob) || o.bob < 0 || o.bob > 1)) errors.push(`${where}: bob must be a chance in 0..1`);
+        }
+      });
+    }
+
+    const pickups = profile.pickups;
+    if(pickups !== undefined){
+      if(!pickups || !isNum(pickups.chance) || pickups.chance < 0 || pickups.chance > 1) errors.push('pickups.chance must be in 0..1');
+      const kinds = pickups && pickups.weights && typeof pickups.weights === 'object' ? Object.keys(pickups.weights) : [];
+      if(!kinds.some(k => pickups.weights[k] > 0)) errors.push('pickups.weights needs at least one positive weight');
+      for(const k of kinds){
+        if(!(k in PICKUP_KINDS)) errors.push(`pickups.weights: unknown kind "${k}"`);
+        else if(!isNum(pickups.weights[k]) || pickups.weights[k] < 0) errors.push(`pickups.weights.${k} must be a non-negative number`);
+      }
+    }
+
+    const tiers = profile.tiers;
+    if(!Array.isArray(tiers) || !tiers.length){
+      errors.push('tiers must be a non-empty array');
+    } else {
+      tiers.forEach((tier, i)=>{
+        if(!tier || !isNum(tier.from)){ errors.push(`tiers[${i}].from must be a number`); return; }
+        if(i === 0 && tier.from !== 0) errors.push('tiers[0].from must be 0');
+        if(i > 0 && tiers[i-1] && tier.from <= tiers[i-1].from) errors.push(`tiers[${i}].from must increase`);
+        const ids = tier.weights && typeof tier.weights === 'object' ? Object.keys(tier.weights) : [];
+        if(!ids.some(id => tier.weights[id] > 0)) errors.push(`tiers[${i}] needs at least one positive weight`);
+        for(const id of ids){
+          if(!patternIds.includes(id)) errors.push(`tiers[${i}] references unknown pattern "${id}"`);
+          else if(!isNum(tier.weights[id]) || tier.weights[id] < 0) errors.push(`tiers[${i}] weight for "${id}" must be a non-negative number`);
+        }
+      });
+    }
+    if(errors.length) return errors;
+
+    // Physics: check at every curve row and tier boundary a pattern can run
+    // at, followed by any pattern that can be picked at that time
+    const lastTime = curve[curve.length-1].time;
+    const used = {};
+    const live = tier => Object.keys(tier.weights).filter(id => tier.weights[id] > 0);
+    tiers.forEach((tier, i)=>{
+      const to = i+1 < tiers.length ? tiers[i+1].from : Infinity;
+      const times = [tier.from, ...curve.map(r => r.time).filter(t => t > tier.from && t < to)];
+      if(to !== Infinity) times.push(to);
+      else if(lastTime > tier.from) times.push(lastTime);
+      for(const id of live(tier)){
+        (used[id] || (used[id] = [])).push(...times.map(t => {
+          const next = new Set([...live(tier), ...live(tierAt(profile, t))]);
+          return Object.assign({next}, curveAt(profile, t));
+        }));
+      }
+    });
+    const arc = jumpArc();
+    const reported = new Set();
+    const report = msg => { if(!reported.has(msg)){ reported.add(msg); errors.push(msg); } };
+    const speedLabel = v => `${Math.round(v)} px/s`;
+
+    for(const id in used){
+      for(const row of used[id]){
+        patterns[id].forEach((spec, i)=>{
+          for(const o of obstacleVariants(spec)){
+            const d = obstacleDemand(o, row.speed, forgiveness);
+            if(d.action !== 'jump') continue;
+            const window = timeAbove(d.clearH);
+            if(!window || window[1] - window[0] < d.span){
+              report(`pattern "${id}" obstacle ${i+1} (${describe(o)}) cannot be jumped at ${speedLabel(row.speed)}`);
+            }
+          }
+        });
+        hazards(patterns[id]).forEach((h, n, list)=>{
+          if(n === 0) return;
+          const need = pairProblem(list[n-1].spec, h.spec, h.after, h.after, row.speed);
+          if(need !== null) report(`pattern "${id}" obstacle ${h.index+1} follows too closely at ${speedLabel(row.speed)} (needs ${need.toFixed(2)}s, has ${+h.after.toFixed(2)}s)`);
+        });
+        // spacing to whatever pattern comes next
+        const minGap = row.spawnGap * (1 - profile.gapJitter);
+        const maxGap = row.spawnGap * (1 + profile.gapJitter);
+        const mine = hazards(patterns[id]);
+        const last = mine[mine.length-1];
+        if(!last) continue;
+        for(const next of row.next){
+          const first = hazards(patterns[next])[0];
+          if(!first) continue;
+          const extra = last.tail + first.after;
+          const need = pairProblem(last.spec, first.spec, minGap + extra, maxGap + extra, row.speed);
+          if(need !== null) report(`pattern "${next}" after "${id}" needs ${(need - extra).toFixed(2)}s at ${speedLabel(row.speed)} but spawnGap allows ${minGap.toFixed(2)}s`);
+        }
+      }
+    }
+    return errors;
+
+    function describe(o){
+      if(o.type === 'cactus') return `${o.count} cactus x${o.scale}`;
+      if(o.type === 'bird') return `${o.height} bird`;
+      if(o.type === 'tumbleweed') return `tumbleweed r${o.size} bouncing ${o.bounce}px`;
+      return `${o.width}px ${o.type}`;
+    }
+    // A pattern's obstacles without its slopes: `after` is the time since the
+    // previous obstacle (or the pattern's start), slopes in between included,
+    // and `tail` the time slopes after it add before the next pattern
+    function hazards(list){
+      const out = [];
+      let since = 0;
+      list.forEach((spec, i)=>{
+        if(i > 0) since += spec.gap;
+        if(spec.type === 'slope') return;
+        out.push({spec, index: i, after: since, tail: 0});
+        since = 0;
+      });
+      if(out.length) out[out.length-1].tail = since;
+      return out;
+    }
+    // null if every variant pair survives any spawn gap in [gMin, gMax], else
+    // the gap (s) the worst pair would need
+    function pairProblem(specA, specB, gMin, gMax, speed){
+      let worst = null;
+      for(const a of obstacleVariants(specA)){
+        for(const b of obstacleVariants(specB)){
+          const da = obstacleDemand(a, speed, forgiveness), db = obstacleDemand(b, speed, forgiveness);
+          // b arrives at the player this long after a does
+          const shift = (db.lead - da.lead) / speed;
+          const need = pairNeed(da, db, gMin + shift, gMax + shift);
+          if(need !== null) worst = Math.max(worst === null ? 0 : worst, need - shift);
+        }
+      }
+      return worst;
+    }
+    // null if arrival gaps in [dMin, dMax] are all survivable, else the arrival gap needed
+    function pairNeed(a, b, dMin, dMax){
+      if(a.action === 'none' || b.action === 'none') return null;
+      if(a.action === 'duck' && b.action === 'duck') return null;
+      const ta = a.action === 'jump' ? timeAbove(a.clearH) : null;
+      const tb = b.action === 'jump' ? timeAbove(b.clearH) : null;
+      if(a.action === 'duck'){
+        // stay down until a has passed, then jump in time for b
+        if(!tb) return Infinity;
+        const need = a.span + tb[0];
+        return dMin >= need ? null : need;
+      }
+      if(!ta) return Infinity;
+      const landed = a.span - ta[1] + arc.airTime; // earliest landing after clearing a
+      if(b.action === 'duck') return dMin >= landed ? null : landed;
+      if(!tb) return Infinity;
+      const twoJumps = landed + tb[0];
+      if(dMin >= twoJumps) return null;
+      // or a single jump clears both
+      const both = timeAbove(Math.max(a.clearH, b.clearH));
+      if(both){
+        const room = both[1] - both[0];
+        const oneJump = d => Math.max(a.span, d + b.span) - Math.min(0, d) <= room;
+        if(oneJump(dMin) && (oneJump(dMax) || room - b.span >= twoJumps)) return null;
+      }
+      return twoJumps;
+    }
+  }
+  // Parse and validate a profile; throws listing every problem found.
+  function loadProfile(json, opts){
+    const profile = typeof json === 'string' ? JSON.parse(json) : json;
+    const errors = validateProfile(profile, opts);
+    if(errors.length) throw new Error(`Invalid difficulty profile:\n  ${errors.join('\n  ')}`);
+    return profile;
+  }
+
+  // Seeded RNG ----------------------------------------------
+  // mulberry32: tiny, fast and good enough for gameplay randomness
+  // rng.position() is the generator's whole state: createRng(position) carries on
+  function createRng(seed){
+    let a = seed >>> 0;
+    const rng = function(){
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    rng.position = () => a;
+    return rng;
+  }
+  function newSeed(){ return (Math.random() * 4294967296) >>> 0; }
+
+  // Utilities -----------------------------------------------
+  function lerp(a,b,t){ return a + (b-a)*t; }
+  function aabb(ax,ay,aw,ah,bx,by,bw,bh){
+    return ax < bx + bw && ax + aw > bx && ay < by + bh && ay + ah > by;
+  }
+
+  // Terrain ---------------------------------------------------
+  // state.terrain: the ground's height above groundY is `base`, then each
+  // ramp {at, length, rise} (world px, in order, not overlapping) adds its
+  // rise linearly between at and at + length.
+  function groundLevel(state, x){
+    const t = state.terrain;
+    const wx = state.worldX + x;
+    let level = t.base;
+    for(const r of t.ramps){
+      if(wx <= r.at) break;
+      level += r.rise * Math.min(1, (wx - r.at) / r.length);
+    }
+    return level;
+  }
+  // y of the ground surface at screen x
+  function groundAt(state, x){ return groundY - groundLevel(state, x); }
+
+  // Simulation ----------------------------------------------
+  const SNAPSHOT_VERSION = 1;
+  // createSimulation({seed, forgiveness, profile, autoDuck}) -> {state, config, recording, step(dt, inputs), restart(seed), debugSpawn(o),
+  //   snapshot(), restore(snap), on(type, fn)}
+  // Events: 'jump' {double}, 'land', 'score' {score, points, reason, entity}, 'hit' {entity},
+  // 'pause' {paused}, 'duck', 'nearMiss' {entity, gap, points}, 'pickup' {kind, entity},
+  // 'effectEnd' {kind}, 'shieldBreak' {entity}, 'spawn' {entity}, 'combo' {combo, multiplier}
+  // after a clear, 'comboBreak' {combo} as a combo is lost, 'milestone' {score} each
+  // MILESTONE points, 'step' after every integrated step. Score reasons:
+  // 'distance' | 'clear' (entity) | 'nearMiss' (entity) | 'coin' (entity).
+  // Obstacle entities carry `clear`: the move that gets past them ('jump'|'duck'|'none').
+  // Pits aren't hit but fallen into: 'hit' comes once the player sinks PIT_FALL
+  // px or runs into the far wall, and a shield doesn't help.
+  // Entity objects are pooled: one removed from state.entities is reused by a
+  // later spawn, so copy what you need from event entities instead of keeping them.
+  // config.profile and config.autoDuck (duck under duck-only obstacles by
+  // itself, for one-button play) are read on restart().
+  // Debug tools: config.invincible (read live) lets obstacles pass through the
+  // player and debugSpawn(o) adds an obstacle out of turn. Either marks the
+  // recording debug: true, since its replay no longer reproduces the run.
+  // snapshot() is the run so far as JSON-safe data, recording included;
+  // restore(snap) puts it back exactly, so it carries on deterministically.
+  // It needs config.profile to be the snapshot's profile.
+  function createSimulation(opts = {}){
+    const listeners = {};
+    const config = {
+      forgiveness: opts.forgiveness === undefined ? defaultForgiveness : opts.forgiveness,
+      profile: opts.profile || DEFAULT_PROFILE,
+      autoDuck: !!opts.autoDuck,
+      invincible: false
+    };
+    let profile = config.profile;
+    let autoDuck = config.autoDuck;
+    const pool = []; // removed entities, ready for reuse
+    const state = {
+      paused: false,
+      gameOver: false,
+      time: 0,
+      step: 0, // simulation steps since restart, used as replay clock
+      seed: 0,
+      rng: null,
+      worldX: 0,
+      prevWorldX: 0, // previous-step values below are for render interpolation
+      speed: 0,
+      topSpeed: 0,
+      score: 0,
+      distanceScore: 0, // the part of score earned by distance
+      combo: 0, // obstacles cleared in a row; see comboMultiplier()
+      nextSpawnT: 0,
+      spawnQueue: [], // rest of the current pattern: resolved obstacles with their gap
+      entities: [], // obstacles + birds + pickups
+      terrain: {base: 0, ramps: []}, // see groundLevel()
+      effects: {}, // active effect -> seconds left
+      // player
+      player: {
+        x: playerStartX,
+        y: groundY,
+        prevX: playerStartX,
+        prevY: groundY,
+        vx: 0,
+        vy: 0,
+        width: 46,
+        height: 92,
+        ducking: false,
+        grounded: true,
+        jumpHeld: false,
+        jumpHoldTime: 0,
+        doubleJumped: false,
+        autoDucked: false, // ducking because of config.autoDuck, not the player
+        animTime: 0,
+        hit: false,
+        sprite: 'run', // 'run'|'jump'|'duck'|'hit'
+        facing: 1
+      }
+    };
+    const sim = {
+      state,
+      config,
+      recording: null,
+      step,
+      restart,
+      debugSpawn,
+      snapshot,
+      restore,
+      on(type, fn){ (listeners[type] || (listeners[type] = [])).push(fn); return sim; }
+    };
+    const controls = {startJump, endJump, startDuck, endDuck, togglePause};
+    restart(opts.seed === undefined ? newSeed() : opts.seed);
+    return sim;
+
+    function emit(type, data){
+      const fns = listeners[type];
+      if(fns) for(const fn of fns) fn(data);
+    }
+
+    // Advance one step: apply inputs in order, then integrate unless paused or over.
+    // Callers should pass FIXED_DT; other dts work but make runs display-dependent.
+    function step(dt, inputs){
+      if(inputs){
+        for(const action of inputs){
+          const idx = ACTIONS.indexOf(action);
+          if(idx < 0) throw new Error(`Unknown input: ${action}`);
+          sim.recording.events.push([state.step, idx]);
+          controls[action]();
+        }
+      }
+      if(state.paused || state.gameOver) return;
+      // dts are run-length encoded as [dt, count] pairs
+      const dts = sim.recording.dts;
+      const last = dts[dts.length-1];
+      if(last && last[0] === dt) last[1]++;
+      else dts.push([dt, 1]);
+      update(dt);
+      state.step++;
+      emit('step');
+    }
+
+    function restart(seed = newSeed()){
+      for(const e of state.entities) pool.push(e);
+      state.entities.length = 0;
+      state.seed = seed >>> 0;
+      state.rng = createRng(state.seed);
+      state.step = 0;
+      profile = config.profile;
+      autoDuck = config.autoDuck;
+      state.speed = curveAt(profile, 0).speed;
+      state.topSpeed = state.speed;
+      state.spawnQueue.length = 0;
+      state.score = 0;
+      state.distanceScore = 0;
+      state.combo = 0;
+      state.terrain.base = 0;
+      state.terrain.ramps.length = 0;
+      state.worldX = 0;
+      state.prevWorldX = 0;
+      state.time = 0;
+      state.nextSpawnT = 0;
+      state.gameOver = false;
+      state.paused = false;
+      const p = state.player;
+      p.x = playerStartX; p.y = groundY; p.vx = 0; p.vy = 0; p.grounded = true; p.ducking = false; p.sprite = 'run'; p.hit=false; p.animTime=0;
+      p.jumpHeld = false; p.jumpHoldTime = 0; p.doubleJumped = false; p.autoDucked = false; p.prevX = p.x; p.prevY = p.y;
+      for(const k of EFFECTS) state.effects[k] = 0;
+      // presets go by name; any other profile travels with its replay
+      sim.recording = {v:2, seed: state.seed, profile: PRESETS[profile.name] === profile ? profile.name : profile, events:[], dts:[]};
+      if(autoDuck) sim.recording.autoDuck = true;
+    }
+
+    // Snapshots -----------------------------------------------
+    function snapshot(){
+      const data = Object.assign({}, state, {rng: state.rng.position()});
+      // entities that never came near the player keep closest: Infinity, which JSON can't hold
+      data.entities = state.entities.map(e => Object.assign({}, e, {closest: isFinite(e.closest) ? e.closest : null}));
+      return JSON.parse(JSON.stringify({v: SNAPSHOT_VERSION, profile: profile.name, autoDuck, state: data, recording: sim.recording}));
+    }
+    function restore(snap){
+      if(!snap || snap.v !== SNAPSHOT_VERSION || !snap.state || !snap.recording) throw new Error('Not a simulation snapshot');
+      if(snap.profile !== config.profile.name){
+        throw new Error(`Snapshot is of the "${snap.profile}" profile, not "${config.profile.name}"`);
+      }
+      const s = JSON.parse(JSON.stringify(snap.state));
+      restart(s.seed);
+      autoDuck = !!snap.autoDuck;
+      for(const key in s){
+        if(key === 'entities' || key === 'player' || key === 'effects' || key === 'spawnQueue' || key === 'rng' || key === 'terrain') continue;
+        state[key] = s[key];
+      }
+      if(s.terrain){
+        state.terrain.base = s.terrain.base;
+        state.terrain.ramps.push(...s.terrain.ramps);
+      }
+      state.rng = createRng(s.rng);
+      Object.assign(state.player, s.player);
+      Object.assign(state.effects, s.effects);
+      state.spawnQueue.push(...s.spawnQueue);
+      for(const e of s.entities){
+        if(e.closest === null) e.closest = Infinity;
+        state.entities.push(Object.assign(pool.pop() || {}, ENTITY_BLANK, e));
+      }
+      sim.recording = JSON.parse(JSON.stringify(snap.recording));
+    }
+
+    // Player control ------------------------------------------
+    function startJump(){
+      if(state.paused || state.gameOver) return;
+      const p = state.player;
+      if(p.grounded){
+        p.vy = initialJumpVY;
+        p.grounded = false;
+        p.jumpHeld = true;
+        p.jumpHoldTime = 0;
+        p.sprite = 'jump';
+        emit('jump');
+      } else if(state.effects.doubleJump > 0 && !p.jumpHeld && !p.doubleJumped){
+        // a fresh press in the air (not key repeat) spends the double jump
+        p.vy = PICKUP_KINDS.doubleJump.vy;
+        p.jumpHeld = true;
+        p.jumpHoldTime = 0;
+        p.doubleJumped = true;
+        emit('jump', {double: true});
+      } else {
+        p.jumpHeld = true; // variable jump while airborne and within hold window
+      }
+    }
+    function endJump(){ state.player.jumpHeld = false; }
+    function startDuck(){
+      if(state.paused || state.gameOver) return;
+      const p = state.player;
+      p.autoDucked = false; // the player takes over
+      if(p.grounded && !p.ducking){
+        p.ducking = true;
+        p.sprite = 'duck';
+        emit('duck');
+        if(!duckThreat(DUCK_GRACE, true)) breakCombo();
+      }
+    }
+    function endDuck(){
+      const p = state.player;
+      if(p.autoDucked) return; // held until the obstacle has passed
+      p.ducking = false;
+      if(p.grounded) p.sprite = 'run';
+    }
+    function togglePause(){
+      if(state.gameOver) return;
+      state.paused = !state.paused;
+      emit('pause', {paused: state.paused});
+    }
+
+    // Entities -------------------------------------------------
+    // Spawns the next obstacle of the current pattern, picking a new pattern
+    // from the active tier when the last one is used up, and returns the
+    // time until the next spawn.
+    function spawnObstacle(curve){
+      const rng = state.rng;
+      if(!state.spawnQueue.length){
+        const id = pickWeighted(tierAt(profile, state.time).weights, rng);
+        for(const spec of profile.patterns[id]) state.spawnQueue.push({o: resolveObstacle(spec, rng), gap: spec.gap || 0});
+      }
+      const {o} = state.spawnQueue.shift();
+      if(o.type === 'slope') addRamp(o);
+      else {
+        const e = addObstacle(o);
+        // a tumbleweed would leave its pickup behind
+        if(o.type !== 'tumbleweed' && profile.pickups && rng() < profile.pickups.chance) spawnPickup(e, rng);
+      }
+      if(state.spawnQueue.length) return state.spawnQueue[0].gap;
+      const jitter = profile.gapJitter;
+      return curve.spawnGap * (1 - jitter + rng()*2*jitter);
+    }
+
+    function addObstacle(o){
+      // a ledge keeps its clearance over the highest ground beneath it
+      const ground = Math.min(groundAt(state, SPAWN_X), groundAt(state, SPAWN_X + (o.type === 'overhang' ? o.width : 0)));
+      const e = makeEntity(o, SPAWN_X, pool.pop(), ground);
+      e.clear = obstacleDemand(o, state.speed, config.forgiveness).action;
+      state.entities.push(e);
+      emit('spawn', {entity: e});
+      return e;
+    }
+    // o: {type:'cactus', count, scale} | {type:'bird', height, bob, color} |
+    // {type:'pit'|'overhang', width} | {type:'tumbleweed', size, bounce, roll};
+    // doesn't touch the rng or the spawn timer, so the pattern carries on
+    function debugSpawn(o){
+      if(o.type === 'cactus'){
+        if(!(o.count >= 1) || !(o.scale > 0)) throw new Error('debugSpawn: cactus needs count >= 1 and scale > 0');
+      } else if(o.type === 'bird'){
+        if(!(o.height in BIRD_HEIGHTS)) throw new Error(`debugSpawn: unknown bird height: ${o.height}`);
+        o = Object.assign({bob: null, color: '#2c3e50'}, o);
+      } else if(o.type === 'pit' || o.type === 'overhang'){
+        if(!(o.width > 0)) throw new Error(`debugSpawn: ${o.type} needs width > 0`);
+      } else if(o.type === 'tumbleweed'){
+        if(!(o.size > 0) || !(o.bounce >= 0) || !(o.roll >= 0)) throw new Error('debugSpawn: tumbleweed needs size > 0, bounce >= 0 and roll >= 0');
+      } else throw new Error(`debugSpawn: unknown obstacle type: ${o.type}`);
+      if(state.gameOver) return null;
+      sim.recording.debug = true;
+      return addObstacle(o);
+    }
+
+    // Collectibles sit where clearing the obstacle takes the player: above
+    // jumped obstacles, low under ducked birds, at head height otherwise.
+    function spawnPickup(e, rng){
+      const kind = pickWeighted(profile.pickups.weights, rng);
+      const ex = extent(getEntityBoxes(e));
+      const height = e.clear === 'jump' ? 120 : e.clear === 'duck' ? 20 : 50;
+      const x = (ex.l + ex.r) / 2;
+      const y = groundAt(state, x) - height;
+      state.entities.push(makePickup(kind, x, y, pool.pop()));
+    }
+    // Slopes start where the last one ends, or at the right edge, and never
+    // under a ledge; one that would take the ground above MAX_GROUND_RISE (or
+    // below groundY) goes the other way instead
+    function addRamp(o){
+      const ramps = state.terrain.ramps;
+      const last = ramps[ramps.length-1];
+      let at = Math.max(SPAWN_X, last ? last.at + last.length - state.worldX : 0);
+      for(const e of state.entities) if(e.type === 'overhang') at = Math.max(at, e.x + e.w);
+      let level = state.terrain.base;
+      for(const r of ramps) level += r.rise;
+      const rise = level + o.rise <= MAX_GROUND_RISE ? o.rise : -Math.min(o.rise, level);
+      ramps.push({at: state.worldX + at, length: o.length, rise});
+    }
+    function collect(e){
+      const def = PICKUP_KINDS[e.kind];
+      if(e.kind === 'coin'){
+        addPoints(def.value, 'coin', e);
+      } else {
+        state.effects[e.kind] = def.duration;
+      }
+      emit('pickup', {kind: e.kind, entity: e});
+    }
+    // Removed entities are only flagged during a step; this drops them in one
+    // pass, keeping spawn order, and returns them to the pool
+    function sweepEntities(){
+      const list = state.entities;
+      let n = 0;
+      for(let i=0;i<list.length;i++){
+        const e = list[i];
+        if(e.dead) pool.push(e);
+        else list[n++] = e;
+      }
+      list.length = n;
+    }
+    function tickEffects(dt){
+      for(const k of EFFECTS){
+        if(state.effects[k] <= 0) continue;
+        state.effects[k] = Math.max(0, state.effects[k] - dt);
+        if(state.effects[k] === 0) emit('effectEnd', {kind: k});
+      }
+    }
+
+    // Scoring ----------------------------------------------------
+    function addPoints(points, reason, entity){
+      const before = state.score;
+      state.score += points;
+      emit('score', {score: state.score, points, reason, entity});
+      const reached = Math.floor(state.score / MILESTONE) * MILESTONE;
+      if(reached > before) emit('milestone', {score: reached});
+    }
+    function clearObstacle(e){
+      addPoints(comboMultiplier(state.combo), 'clear', e);
+      state.combo++;
+      emit('combo', {combo: state.combo, multiplier: comboMultiplier(state.combo)});
+    }
+    function breakCombo(){
+      if(!state.combo) return;
+      const combo = state.combo;
+      state.combo = 0;
+      emit('comboBreak', {combo});
+    }
+    // Whether a duck-only obstacle reaches the player within `lead` s; with
+    // `overhead`, also one that passes over a standing player
+    function duckThreat(lead, overhead){
+      const front = extent(getPlayerBoxes(state)).r;
+      return state.entities.some(e => (e.clear === 'duck' || overhead && e.clear === 'none' && e.type !== 'pickup') && !e.passed &&
+        extent(getEntityBoxes(e)).l - front < state.speed * lead);
+    }
+
+    // One-button assist: duck while a duck-only obstacle is about to reach
+    // the player, stand up once it has passed
+    function updateAutoDuck(){
+      const p = state.player;
+      const threat = duckThreat(AUTO_DUCK_LEAD);
+      if(threat && p.grounded && !p.ducking){
+        p.ducking = true;
+        p.autoDucked = true;
+        p.sprite = 'duck';
+        emit('duck');
+      } else if(!threat && p.autoDucked){
+        p.autoDucked = false;
+        p.ducking = false;
+        if(p.grounded) p.sprite = 'run';
+      }
+    }
+
+    // Update -----------------------------------------------------
+    function update(dt){
+      state.prevWorldX = state.worldX;
+      state.time += dt;
+      const curve = curveAt(profile, state.time);
+      const slow = state.effects.slowmo > 0 ? PICKUP_KINDS.slowmo.factor : 1;
+      tickEffects(dt);
+      state.speed = curve.speed * slow;
+      state.topSpeed = Math.max(state.topSpeed, state.speed);
+      state.worldX += state.speed * dt;
+      const run = Math.floor(state.worldX / SCORE_DISTANCE_PX);
+      if(run > state.distanceScore){
+        const points = run - state.distanceScore;
+        state.distanceScore = run;
+        addPoints(points, 'distance');
+      }
+      // ramps well behind the player are folded into the base level
+      const ramps = state.terrain.ramps;
+      while(ramps.length && ramps[0].at + ramps[0].length < state.worldX - 100){
+        state.terrain.base += ramps.shift().rise;
+      }
+
+      // spawn cadence follows the profile's curve; slow motion slows it too so
+      // spacing in distance (and so clearability) is unchanged
+      state.nextSpawnT -= dt * slow;
+      if(state.nextSpawnT <= 0){
+        state.nextSpawnT = spawnObstacle(curve);
+      }
+
+      if(autoDuck) updateAutoDuck();
+
+      // player physics
+      const p = state.player;
+      p.prevX = p.x;
+      p.prevY = p.y;
+      p.animTime += dt;
+      const surface = groundAt(state, p.x);
+      const pit = pitUnder(p.x);
+      if(p.grounded){
+        if(pit){
+          // walked off the edge
+          p.grounded = false;
+          p.vy = 0;
+          p.sprite = 'jump';
+        } else p.y = surface; // follow the slope
+      }
+      if(!p.grounded){
+        // variable jump
+        if(p.jumpHeld && p.jumpHoldTime < maxHoldJumpSec){
+          const can = Math.min(maxHoldJumpSec - p.jumpHoldTime, dt);
+          p.vy += extraJumpAccel * can;
+          p.jumpHoldTime += can;
+        }
+        p.vy += gravity * dt;
+        p.y += p.vy * dt;
+        if(p.y >= surface){
+          if(pit){
+            if(p.y >= surface + PIT_FALL) lose(pit);
+          } else if(p.prevY <= surface + 1){
+            p.y = surface;
+            p.vy = 0;
+            p.grounded = true;
+            p.sprite = p.ducking ? 'duck' : 'run';
+            p.doubleJumped = false;
+            emit('land');
+          } else {
+            // in a pit and carried into its far wall
+            let wall = null;
+            for(const e of state.entities){
+              if(e.type === 'pit' && e.x <= p.x && (!wall || e.x > wall.x)) wall = e;
+            }
+            lose(wall);
+          }
+        }
+      }
+
+      // Update entities
+      for(let i=state.entities.length-1;i>=0;i--){
+        const e = state.entities[i];
+        e.prevX = e.x;
+        e.prevY = e.y;
+        e.x -= state.speed * dt;
+        if(e.type==='pickup' && e.kind==='coin' && state.effects.magnet > 0){
+          const m = PICKUP_KINDS.magnet;
+          const dx = p.x - e.x, dy = (p.y - 46) - e.y; // toward the player's middle
+          const dist = Math.hypot(dx, dy);
+          if(dist < m.radius && dist > 1){
+            const step = Math.min(dist, m.pull * dt);
+            e.x += dx / dist * step;
+            e.y += dy / dist * step;
+          }
+        }
+        if(e.type === 'tumbleweed'){
+          // rolls faster than the ground and bounces on it, losing nothing
+          e.x += e.vx * slow * dt;
+          e.vy += gravity * dt;
+          e.y += e.vy * dt;
+          const floor = groundAt(state, e.x) - e.h/2;
+          if(e.y >= floor){
+            e.y = floor;
+            e.vy = -e.bounceV;
+          }
+        }
+        if(e.type==='bird' && e.bob){
+          e.flapT += dt*9;
+          // vertical bob: max vertical speed ±60 px/s -> omega = 60/amp
+          const omega = 60 / e.bob.amp; // rad/s approximation
+          e.y = e.baseY + Math.sin(state.time * omega) * e.bob.amp;
+        }
+        if(!e.scored && e.x + e.w < 0){
+          e.scored = true;
+          clearObstacle(e);
+        }
+        if(e.x + e.w < -40) e.dead = true;
+      }
+
+      // Collision: pickups are collected with the full (unforgiving) boxes
+      const pBoxes = getPlayerBoxes(state, config.forgiveness);
+      const reach = getPlayerBoxes(state);
+      for(let i=state.entities.length-1;i>=0 && !state.gameOver;i--){
+        const e = state.entities[i];
+        if(e.dead) continue;
+        if(e.type === 'pickup'){
+          if(boxesOverlap(reach, getEntityBoxes(e))){
+            e.dead = true;
+            collect(e);
+          }
+          continue;
+        }
+        const eBoxes = getEntityBoxes(e);
+        if(!e.passed){
+          e.closest = Math.min(e.closest, boxesGap(pBoxes, eBoxes));
+          if(extent(eBoxes).r < extent(pBoxes).l){
+            e.passed = true;
+            // obstacles that need no move (a high bird) pass close by design
+            if(e.clear !== 'none' && e.closest < NEAR_MISS_PX){
+              const points = 1 + Math.round((NEAR_MISS_BONUS - 1) * (1 - e.closest / NEAR_MISS_PX));
+              emit('nearMiss', {entity: e, gap: e.closest, points});
+              addPoints(points, 'nearMiss', e);
+            }
+          }
+        }
+        if(e.type === 'pit') continue; // falling in is handled with the player
+        if(boxesOverlap(pBoxes, eBoxes)){
+          if(config.invincible){
+            sim.recording.debug = true;
+            continue;
+          }
+          if(state.effects.shield > 0){
+            state.effects.shield = 0;
+            e.dead = true;
+            emit('shieldBreak', {entity: e});
+            breakCombo();
+            continue;
+          }
+          lose(e);
+        }
+      }
+      sweepEntities();
+    }
+    // The pit whose inside (less forgiveness) is under screen x, if any.
+    // Invincibility bridges pits.
+    function pitUnder(x){
+      const f = config.forgiveness;
+      const pit = state.entities.find(e => e.type === 'pit' && !e.dead && x > e.x + f && x < e.x + e.w - f);
+      if(!pit || !config.invincible) return pit || null;
+      sim.recording.debug = true;
+      return null;
+    }
+    function lose(e){
+      const p = state.player;
+      state.gameOver = true;
+      state.paused = false;
+      p.hit = true;
+      p.sprite = 'hit';
+      emit('hit', {entity: e});
+    }
+  }
+
+  // Replays ---------------------------------------------------
+  // A replay is the run seed plus every input keyed by simulation step and the
+  // run-length encoded step dts; feeding them back through step() reproduces
+  // the run exactly. v1 files (one quantized dt per step) are upgraded on load.
+  // Runs made with the auto-duck assist carry autoDuck: true.
+  function parseReplay(text){
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    if(!data || (data.v !== 1 && data.v !== 2) || !Array.isArray(data.events) || !Array.isArray(data.dts)){
+      throw new Error('Not a Cactus Runner replay');
+    }
+    if(data.v === 1){
+      const dts = [];
+      for(const q of data.dts){
+        const dt = q / replayDtScale;
+        const last = dts[dts.length-1];
+        if(last && last[0] === dt) last[1]++;
+        else dts.push([dt, 1]);
+      }
+      return {v:2, seed: data.seed, profile: data.profile, events: data.events, dts};
+    }
+    return data;
+  }
+  // The profile a replay was recorded on: a preset by name or the embedded
+  // profile itself. Replays from before profiles were recorded are normal.
+  function replayProfile(data){
+    const p = data.profile;
+    if(p === undefined || p === null) return DEFAULT_PROFILE;
+    if(typeof p === 'object') return loadProfile(p);
+    if(!Object.prototype.hasOwnProperty.call(PRESETS, p)) throw new Error(`Replay uses the unknown profile "${p}"`);
+    return PRESETS[p];
+  }
+  function replayLength(data){
+    let n = 0;
+    for(const [, count] of data.dts) n += count;
+    return n;
+  }
+  // Feeds a replay into sim.step() one step at a time; next() returns false when exhausted.
+  // Plays on the replay's profile (see replayProfile()) unless opts.profile overrides it.
+  function createReplayPlayer(sim, data, opts = {}){
+    let eventIdx = 0;
+    const stepDts = [];
+    for(const [dt, count] of data.dts) for(let i=0;i<count;i++) stepDts.push(dt);
+    sim.config.profile = opts.profile || replayProfile(data);
+    sim.config.autoDuck = !!data.autoDuck;
+    sim.restart(data.seed);
+    return {
+      data,
+      // inputs due at the current step; each is handed out only once
+      inputs(){
+        const out = [];
+        while(eventIdx < data.events.length && data.events[eventIdx][0] <= sim.state.step){
+          out.push(ACTIONS[data.events[eventIdx][1]]);
+          eventIdx++;
+        }
+        return out;
+      },
+      dt(){
+        const dt = stepDts[sim.state.step];
+        return dt === undefined ? null : dt;
+      },
+      next(){
+        if(sim.state.gameOver) return false;
+        const inputs = this.inputs();
+        const dt = this.dt();
+        if(dt === null) return false;
+        sim.step(dt, inputs);
+        return true;
+      }
+    };
+  }
+  // Run a replay to completion headlessly and return the final state.
+  // opts: {maxSteps, profile (overrides the replay's)}
+  function runReplay(data, opts = {}){
+    const sim = createSimulation();
+    const player = createReplayPlayer(sim, parseReplay(data), {profile: opts.profile});
+    const maxSteps = opts.maxSteps || replayLength(player.data) + 1;
+    for(let i=0;i<maxSteps && player.next();i++){ /* advance */ }
+    return sim.state;
+  }
+
+  return {
+    constants: {
+      WORLD_WIDTH, WORLD_HEIGHT, groundY, FIXED_DT, gravity, initialJumpVY, extraJumpAccel,
+      maxHoldJumpSec, replayDtScale, forgiveness: defaultForgiveness
+    },
+    shapes: {CACTUS_KINDS, CACTUS_ARM, CACTUS_PITCH, BIRD_PARTS, CHARACTER, PLAYER_POSES, BIRD_HEIGHTS, PICKUP_SIZE,
+      PIT_DEPTH, PIT_FALL, TUMBLEWEED_CORE, OVERHANG_CLEARANCE, MAX_GROUND_RISE},
+    scoring: {SCORE_DISTANCE_PX, COMBO_STEP, MAX_MULTIPLIER, NEAR_MISS_BONUS, MILESTONE, SCORING_VERSION},
+    comboMultiplier,
+    PICKUP_KINDS,
+    EFFECTS,
+    DEFAULT_PROFILE,
+    PRESETS,
+    ACTIONS,
+    createRng,
+    newSeed,
+    createSimulation,
+    cactusParts,
+    playerPose,
+    getPlayerBoxes,
+    getEntityBoxes,
+    groundLevel,
+    groundAt,
+    aabb,
+    lerp,
+    curveAt,
+    jumpArc,
+    obstacleDemand,
+    validateProfile,
+    loadProfile,
+    parseReplay,
+    replayProfile,
+    createReplayPlayer,
+    runReplay
+  };
+});
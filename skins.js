@@ -0,0 +1,195 @@
+/* Cactus Runner - player skins: procedural variants and spritesheets described by a JSON manifest (manifest checks run in browsers and Node) */
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./sim.js'));
+  else root.CactusSkins = factory(root.CactusSim);
+})(typeof self !== 'undefined' ? self : this, function(CactusSim){
+  'use strict';
+
+  const {PLAYER_POSES} = CactusSim.shapes;
+  const POSES = Object.keys(PLAYER_POSES);
+
+  // Procedural variants of the built-in cactus, which main.js draws:
+  //   body, shade, stripes: colours of the body, its outline and its stripes
+  //   hat: 'cowboy' | 'sombrero' | 'beanie'; hatColor; band (null for none)
+  //   accessories: any of 'bandana', 'sunglasses', 'flower', 'scarf', in accent
+  // Hats keep to the brim and crown the player's hitboxes are built from.
+  const SKINS = {
+    classic: {label: 'Classic', body: '#43c156', shade: '#2a7a39', stripes: '#6fe07d',
+      hat: 'cowboy', hatColor: '#6b4f2a', band: null, accent: null, accessories: []},
+    bloom: {label: 'Bloom', body: '#5bbf6a', shade: '#357a43', stripes: '#9be3a6',
+      hat: 'sombrero', hatColor: '#d9b26f', band: '#c0392b', accent: '#ff6fa5', accessories: ['flower']},
+    outlaw: {label: 'Outlaw', body: '#3f9e6a', shade: '#245e3e', stripes: '#7ccf9c',
+      hat: 'cowboy', hatColor: '#2b2b2b', band: '#b08a4e', accent: '#b3261e', accessories: ['bandana', 'sunglasses']},
+    frost: {label: 'Frost', body: '#6fc1b5', shade: '#3b7f76', stripes: '#b9ece4',
+      hat: 'beanie', hatColor: '#2f80ed', band: '#f2f5f7', accent: '#d64545', accessories: ['scarf']}
+  };
+
+  // Spritesheets shipped with the game are listed in skins/index.json, so an
+  // artist adds a character by dropping a manifest and its image into skins/
+  // and a line there: {"<id>": {"label", "manifest" (URL, relative to the list)}}
+  const CATALOG_URL = './skins/index.json';
+
+  // Manifests ----------------------------------------------------
+  // {name, image (URL, relative to the manifest), frameWidth, frameHeight (px),
+  //  hitbox: [x, y, w, h] (optional, px within a frame),
+  //  animations: {run, jump, duck, hit} -> {frames, fps (default 12), loop (default true)}}
+  // Frames are numbered row by row across the image; an entry of `frames` is
+  // an index or {index, hitbox}. A hitbox marks the part of the frame that
+  // should collide. Collisions always use the built-in hitboxes, so replays,
+  // ghosts and difficulty checks hold whatever the skin: the frame is scaled
+  // and placed so its hitbox lands on them. Frames without one (or the
+  // sheet's) are drawn at the pose's usual size, bottom centre at the feet.
+  function validBox(b){
+    return Array.isArray(b) && b.length === 4 && b.every(Number.isFinite) && b[2] > 0 && b[3] > 0;
+  }
+  // validateManifest(m) -> list of problems, empty if the manifest is usable
+  function validateManifest(m){
+    if(!m || typeof m !== 'object') return ['manifest must be an object'];
+    const errors = [];
+    if(typeof m.image !== 'string' || !m.image) errors.push('image must be a URL');
+    for(const key of ['frameWidth', 'frameHeight']){
+      if(!(Number.isInteger(m[key]) && m[key] > 0)) errors.push(`${key} must be a positive integer`);
+    }
+    if(m.hitbox !== undefined && !validBox(m.hitbox)) errors.push('hitbox must be [x, y, w, h] with w, h > 0');
+    if(!m.animations || typeof m.animations !== 'object'){
+      errors.push('animations must be an object');
+      return errors;
+    }
+    for(const pose of POSES){
+      const a = m.animations[pose];
+      if(!a || !Array.isArray(a.frames) || !a.frames.length){
+        errors.push(`animations.${pose}.frames must be a non-empty list`);
+        continue;
+      }
+      a.frames.forEach((f, i)=>{
+        const index = typeof f === 'object' && f !== null ? f.index : f;
+        if(!(Number.isInteger(index) && index >= 0)) errors.push(`animations.${pose}.frames[${i}] must be a frame index`);
+        if(f && f.hitbox !== undefined && !validBox(f.hitbox)) errors.push(`animations.${pose}.frames[${i}].hitbox must be [x, y, w, h] with w, h > 0`);
+      });
+      if(a.fps !== undefined && !(Number.isFinite(a.fps) && a.fps > 0)) errors.push(`animations.${pose}.fps must be positive`);
+      if(a.loop !== undefined && typeof a.loop !== 'boolean') errors.push(`animations.${pose}.loop must be true or false`);
+    }
+    return errors;
+  }
+  // loadManifest(json) -> the sheet layout: {name, image, frameWidth,
+  // frameHeight, res: 1, animations: pose -> {frames: [{index, hitbox}], fps, loop}};
+  // throws listing the problems if the manifest doesn't validate
+  function loadManifest(json){
+    const m = typeof json === 'string' ? JSON.parse(json) : json;
+    const errors = validateManifest(m);
+    if(errors.length) throw new Error(`Invalid skin manifest:\n  ${errors.join('\n  ')}`);
+    const animations = {};
+    for(const pose of POSES){
+      const a = m.animations[pose];
+      animations[pose] = {
+        frames: a.frames.map(f => typeof f === 'object' ? {index: f.index, hitbox: f.hitbox || m.hitbox || null} : {index: f, hitbox: m.hitbox || null}),
+        fps: a.fps || 12,
+        loop: a.loop !== false
+      };
+    }
+    return {name: String(m.name || ''), image: m.image, frameWidth: m.frameWidth, frameHeight: m.frameHeight, res: 1, animations};
+  }
+
+  // validateCatalog(c) -> list of problems, empty if the list is usable
+  function validateCatalog(c){
+    if(!c || typeof c !== 'object' || Array.isArray(c)) return ['the list must be an object of id -> {label, manifest}'];
+    const errors = [];
+    for(const id in c){
+      const e = c[id];
+      if(id in SKINS) errors.push(`${id} is already a built-in skin`);
+      if(!e || typeof e.label !== 'string' || !e.label) errors.push(`${id}.label must be a name`);
+      if(!e || typeof e.manifest !== 'string' || !e.manifest) errors.push(`${id}.manifest must be a URL`);
+    }
+    return errors;
+  }
+
+  // Frames -------------------------------------------------------
+  // The built-in hitboxes' extent for each pose, feet at the origin
+  const poseExtent = {};
+  for(const pose of POSES){
+    let l = Infinity, r = -Infinity, t = Infinity, b = -Infinity;
+    const boxes = CactusSim.getPlayerBoxes({gameOver: pose === 'hit', player: {x: 0, y: 0, grounded: pose !== 'jump', sprite: pose}});
+    for(const [x, y, w, h] of boxes){
+      l = Math.min(l, x); r = Math.max(r, x + w); t = Math.min(t, y); b = Math.max(b, y + h);
+    }
+    poseExtent[pose] = {l, r, t, b};
+  }
+
+  // sheetFrame(sheet, cols, pose, animTime) -> {sx, sy, sw, sh} in the image
+  // and {dx, dy, dw, dh}, where to draw it relative to the player's feet.
+  // sheet is loadManifest()'s layout, whose res is image px per frame px;
+  // cols is how many frames fit across the image.
+  function sheetFrame(sheet, cols, pose, animTime){
+    const a = sheet.animations[pose];
+    const n = Math.floor(animTime * a.fps);
+    const f = a.frames[a.loop ? n % a.frames.length : Math.min(n, a.frames.length - 1)];
+    const fw = sheet.frameWidth, fh = sheet.frameHeight, res = sheet.res;
+    const out = {sx: (f.index % cols) * fw * res, sy: Math.floor(f.index / cols) * fh * res, sw: fw * res, sh: fh * res};
+    if(f.hitbox){
+      const [hx, hy, hw, hh] = f.hitbox;
+      const e = poseExtent[pose];
+      const kx = (e.r - e.l) / hw, ky = (e.b - e.t) / hh;
+      out.dx = e.l - hx * kx;
+      out.dy = e.t - hy * ky;
+      out.dw = fw * kx;
+      out.dh = fh * ky;
+    } else {
+      const {dw, dh} = PLAYER_POSES[pose];
+      out.dx = -dw/2;
+      out.dy = -dh;
+      out.dw = dw;
+      out.dh = dh;
+    }
+    return out;
+  }
+
+  // Loading ------------------------------------------------------
+  // loadCatalog(url) -> Promise of id -> {label, manifest (absolute URL)}
+  function loadCatalog(url = CATALOG_URL){
+    const base = new URL(url, location.href);
+    return fetchText(base.href).then((text)=>{
+      const c = JSON.parse(text);
+      const errors = validateCatalog(c);
+      if(errors.length) throw new Error(`Invalid skin list:\n  ${errors.join('\n  ')}`);
+      const out = {};
+      for(const id in c) out[id] = {label: c[id].label, manifest: new URL(c[id].manifest, base).href};
+      return out;
+    });
+  }
+  // loadSheet(url) -> Promise of {sheet, image, cols}. The image is requested
+  // with CORS: one from another origin that doesn't allow it fails to load
+  // here, rather than tainting the canvas and breaking score cards and clips.
+  function loadSheet(url){
+    return fetchText(url)
+      .then((text)=>{
+        const sheet = loadManifest(text);
+        return loadImage(new URL(sheet.image, new URL(url, location.href)).href).then((image)=>{
+          const cols = Math.floor(image.naturalWidth / sheet.frameWidth);
+          const count = cols * Math.floor(image.naturalHeight / sheet.frameHeight);
+          for(const pose of POSES){
+            for(const f of sheet.animations[pose].frames){
+              if(f.index >= count) throw new Error(`Frame ${f.index} of "${pose}" is outside the ${count}-frame image`);
+            }
+          }
+          return {sheet, image, cols};
+        });
+      });
+  }
+  function fetchText(url){
+    return fetch(url).then((res)=>{
+      if(!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.text();
+    });
+  }
+  function loadImage(src){
+    return new Promise((resolve, reject)=>{
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = ()=>resolve(image);
+      image.onerror = ()=>reject(new Error(`Could not load ${src} (missing, or another origin without CORS)`));
+      image.src = src;
+    });
+  }
+
+  return {SKINS, POSES, CATALOG_URL, validateManifest, loadManifest, validateCatalog, sheetFrame, loadCatalog, loadSheet};
+});
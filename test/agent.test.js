@@ -0,0 +1,35 @@
+/* Cactus Runner - agent: observed hitboxes and the autopilot over whole runs */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CactusSim = require('../sim.js');
+const CactusAgent = require('../agent.js');
+
+test('observed hitboxes lie within their entity', () => {
+  const env = CactusAgent.createEnv({seed: 3, profile: CactusSim.PRESETS.normal, lookahead: 5});
+  const pilot = CactusAgent.createAutopilot();
+  let obs = env.reset(3), done = false, seen = 0;
+  for(let i = 0; i < 1200 && !done; i++){
+    for(const e of obs.entities){
+      assert.ok(e.boxes.length > 0);
+      for(const b of e.boxes){
+        assert.ok(b.distance >= e.distance - 1e-9 && b.distance + b.width <= e.distance + e.width + 1e-9);
+        assert.ok(b.top <= e.top + 1e-9 && b.bottom >= e.bottom - 1e-9);
+        seen++;
+      }
+    }
+    ({observation: obs, done} = env.step(pilot.act(obs)));
+  }
+  assert.ok(seen > 0);
+});
+
+test('autopilot survives the normal preset on these seeds', () => {
+  const {summary} = CactusAgent.benchmark({seeds: [1, 2, 3, 4, 6, 7, 8, 9], profile: CactusSim.PRESETS.normal, maxTime: 60});
+  assert.equal(summary.crashes, 0);
+});
+
+test('autopilot lands between close clusters on hard seed 2', () => {
+  // it used to hop an 80 px cluster and come down just short of the next
+  const {runs} = CactusAgent.benchmark({seeds: [2], profile: CactusSim.PRESETS.hard, maxTime: 30});
+  assert.equal(runs[0].crashed, false);
+});
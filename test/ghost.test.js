@@ -0,0 +1,68 @@
+/* Cactus Runner - ghost files: recording, v1 and v2, placement on the ground */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CactusSim = require('../sim.js');
+const CactusGhost = require('../ghost.js');
+
+const {FIXED_DT, groundY} = CactusSim.constants;
+
+// record a ghost over a run whose ground rises and falls, noting where the
+// player's feet and the ground were at each sample
+function recordOnSlopes(){
+  const p = JSON.parse(JSON.stringify(CactusSim.PRESETS.normal));
+  p.name = 'slopes';
+  p.curve = [{time: 0, speed: 400, spawnGap: 1}];
+  p.pickups = {chance: 0, weights: {coin: 1}};
+  p.patterns = {ramp: [{type: 'slope', rise: 24, length: 320}]};
+  p.tiers = [{from: 0, weights: {ramp: 1}}];
+  const sim = CactusSim.createSimulation({seed: 1, profile: CactusSim.loadProfile(p)});
+  const recorder = CactusGhost.createGhostRecorder();
+  const seen = [];
+  for(let i = 0; i < 10 / FIXED_DT; i++){
+    // a hop now and then, so some samples are in the air
+    sim.step(FIXED_DT, i % 150 === 0 ? ['startJump'] : []);
+    const st = sim.state;
+    const ground = CactusSim.groundAt(st, st.player.x);
+    const before = recorder.finish(st).samples.length;
+    recorder.sample(st, CactusSim.playerPose(st), ground);
+    for(let k = before; k < recorder.finish(st).samples.length; k++) seen.push({y: st.player.y, ground});
+  }
+  return {ghost: CactusGhost.parseGhost(JSON.stringify(recorder.finish(sim.state, {scoring: 2}))), seen};
+}
+
+test('a v2 ghost is placed relative to the ground under it', ()=>{
+  const {ghost, seen} = recordOnSlopes();
+  assert.equal(ghost.v, 2);
+  assert.ok(new Set(seen.map(s => s.ground)).size > 1, 'the ground never moved');
+  let inAir = 0;
+  seen.forEach((s, k)=>{
+    const g = CactusGhost.ghostAt(ghost, k / ghost.hz);
+    assert.equal(g.fromGround, true);
+    // on the ground it was recorded over, it stands where the player stood
+    assert.ok(Math.abs(CactusGhost.ghostY(g, s.ground) - s.y) <= 0.05, `sample ${k}`);
+    // and a running ghost stands on flat ground too
+    if(g.pose === 'run') assert.ok(Math.abs(CactusGhost.ghostY(g, groundY) - groundY) <= 0.05, `sample ${k}`);
+    else inAir++;
+  });
+  assert.ok(inAir > 0);
+});
+
+test('a v1 ghost still parses and keeps its screen y', ()=>{
+  const v1 = {kind: 'cactusRunnerGhost', v: 1, hz: 30, score: 12, duration: 1, profile: 'normal', name: 'old',
+    samples: [[0, 240, 0, 0], [13, 200, 1, 0], [26, 240, 0, 1]]};
+  const ghost = CactusGhost.parseGhost(JSON.stringify(v1));
+  const g = CactusGhost.ghostAt(ghost, 1.5 / 30);
+  assert.equal(g.fromGround, false);
+  assert.equal(g.worldX, 19.5);
+  assert.equal(CactusGhost.ghostY(g, groundY - 40), 220);
+  assert.equal(CactusGhost.ghostAt(ghost, 2), null);
+});
+
+test('parseGhost refuses what isn\'t a ghost it can play', ()=>{
+  const ok = {kind: 'cactusRunnerGhost', v: 2, hz: 30, score: 1, duration: 1, samples: [[0, 0, 0, 0]]};
+  for(const bad of [null, {}, Object.assign({}, ok, {v: 3}), Object.assign({}, ok, {hz: 0}), Object.assign({}, ok, {samples: []})]){
+    assert.throws(()=>CactusGhost.parseGhost(bad), /Not a Cactus Runner ghost/);
+  }
+  assert.equal(CactusGhost.parseGhost(ok).v, 2);
+});
@@ -0,0 +1,71 @@
+/* Cactus Runner - run history: migration, leaderboard and stats */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CactusHistory = require('../history.js');
+
+function memoryStorage(items = {}){
+  const data = Object.assign({}, items);
+  return {
+    data,
+    getItem: k => k in data ? data[k] : null,
+    setItem(k, v){ data[k] = String(v); },
+    removeItem(k){ delete data[k]; }
+  };
+}
+function run(score, extra){
+  return Object.assign({score, distance: score * 100, duration: score / 3, topSpeed: 500, date: new Date('2026-01-02T03:04:05Z')}, extra);
+}
+
+test('a v1 history is kept but scored under the old rules', ()=>{
+  const v1 = {v: 1, nextId: 3, runs: [
+    {id: 1, score: 40, distance: 9000, duration: 30, topSpeed: 560, death: {type: 'bird', height: 'low'}, date: '2025-05-01T00:00:00Z', initials: 'ABC'},
+    {id: 2, score: 25, distance: 7000, duration: 24, topSpeed: 540, death: {type: 'cactus'}, date: '2025-05-02T00:00:00Z', initials: ''}
+  ]};
+  const storage = memoryStorage({cactusRunnerHistory: JSON.stringify(v1)});
+  const history = CactusHistory.createRunHistory({storage, scoring: 2});
+  const saved = JSON.parse(storage.data.cactusRunnerHistory);
+  assert.equal(saved.v, 2);
+  assert.deepEqual(saved.runs.map(r => r.scoring), [1, 1]);
+  // old scores leave the leaderboard and the best, but not the totals
+  assert.deepEqual(history.leaderboard(), []);
+  assert.equal(history.best(), 0);
+  const stats = history.stats();
+  assert.equal(stats.runs, 2);
+  assert.equal(stats.totalDistance, 16000);
+  assert.equal(stats.averageScore, 0);
+  assert.deepEqual(stats.deaths, {'bird-low': 1, cactus: 1});
+
+  const {rank} = history.add(run(12));
+  assert.equal(rank, 1);
+  assert.equal(history.best(), 12);
+  assert.equal(CactusHistory.createRunHistory({storage, scoring: 1}).best(), 40);
+});
+
+test('the legacy best score becomes a run', ()=>{
+  const storage = memoryStorage({cactusRunnerBest: '77'});
+  const history = CactusHistory.createRunHistory({storage});
+  assert.equal(history.best(), 77);
+  assert.equal(storage.getItem('cactusRunnerBest'), null);
+  assert.equal(history.stats().runs, 0, 'it has no date, so no stats');
+});
+
+test('an unreadable or unknown history starts fresh', ()=>{
+  const warn = console.warn;
+  console.warn = ()=>{};
+  try {
+    for(const stored of ['{not json', JSON.stringify({v: 99, nextId: 1, runs: []})]){
+      const history = CactusHistory.createRunHistory({storage: memoryStorage({cactusRunnerHistory: stored}), scoring: 2});
+      assert.equal(history.best(), 0);
+      assert.deepEqual(history.leaderboard(), []);
+    }
+  } finally { console.warn = warn; }
+});
+
+test('the leaderboard ranks by score, then by who got there first', ()=>{
+  const history = CactusHistory.createRunHistory({storage: memoryStorage(), scoring: 2});
+  for(const score of [5, 30, 12, 30]) history.add(run(score));
+  assert.deepEqual(history.leaderboard().map(r => [r.score, r.id]), [[30, 2], [30, 4], [12, 3], [5, 1]]);
+  assert.equal(history.add(run(1)).rank, 5);
+  assert.equal(history.stats().averageScore, 78 / 5);
+});
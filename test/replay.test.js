@@ -0,0 +1,44 @@
+/* Cactus Runner - replays: record a run, save it, play it back */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CactusSim = require('../sim.js');
+const CactusAgent = require('../agent.js');
+
+const {FIXED_DT} = CactusSim.constants;
+
+// let the autopilot play a run (up to a minute) and return the saved replay
+function record(profile, seed){
+  const sim = CactusSim.createSimulation({seed, profile});
+  const autopilot = CactusAgent.createAutopilot(), mapper = CactusAgent.createActionMapper();
+  for(let i = 0; i < 60 / FIXED_DT && !sim.state.gameOver; i++){
+    sim.step(FIXED_DT, mapper.inputs(autopilot.act(CactusAgent.observe(sim.state, 6)), sim.state));
+  }
+  return {state: sim.state, replay: JSON.parse(JSON.stringify(sim.recording))};
+}
+
+for(const name in CactusSim.PRESETS){
+  test(`a replay on the ${name} preset reproduces the run`, ()=>{
+    const {state, replay} = record(CactusSim.PRESETS[name], 7);
+    assert.equal(replay.profile, name);
+    assert.ok(state.score > 0, 'the run scored nothing');
+    const played = CactusSim.runReplay(replay);
+    assert.equal(played.score, state.score);
+    assert.equal(played.step, state.step);
+    assert.equal(played.worldX, state.worldX);
+    assert.equal(played.gameOver, state.gameOver);
+  });
+}
+
+test('a replay of a custom profile carries the profile with it', ()=>{
+  const profile = CactusSim.loadProfile(Object.assign({}, CactusSim.PRESETS.hard, {name: 'custom'}));
+  const {state, replay} = record(profile, 11);
+  assert.equal(replay.profile.name, 'custom');
+  assert.equal(CactusSim.runReplay(replay).score, state.score);
+});
+
+test('a replay naming an unknown profile is refused', ()=>{
+  const {replay} = record(CactusSim.PRESETS.normal, 3);
+  replay.profile = 'nightmare';
+  assert.throws(()=>CactusSim.runReplay(replay), /unknown profile "nightmare"/);
+});
@@ -0,0 +1,94 @@
+/* Cactus Runner - sim.js scoring: distance, combos and milestones */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CactusSim = require('../sim.js');
+
+const {FIXED_DT} = CactusSim.constants;
+const {SCORE_DISTANCE_PX, COMBO_STEP, MAX_MULTIPLIER, MILESTONE} = CactusSim.scoring;
+
+// a run with no obstacles but the ones a test spawns, at a steady 400 px/s
+function quietSim(){
+  const p = JSON.parse(JSON.stringify(CactusSim.PRESETS.normal));
+  p.name = 'test';
+  p.curve = [{time: 0, speed: 400, spawnGap: 1}];
+  p.pickups = {chance: 0, weights: {coin: 1}};
+  const sim = CactusSim.createSimulation({seed: 1, profile: CactusSim.loadProfile(p)});
+  sim.state.nextSpawnT = Infinity;
+  return sim;
+}
+function record(sim, type){
+  const out = [];
+  sim.on(type, e => out.push(e));
+  return out;
+}
+
+test('running scores a point per SCORE_DISTANCE_PX and a milestone every MILESTONE points', ()=>{
+  const sim = quietSim();
+  const milestones = record(sim, 'milestone');
+  const scores = record(sim, 'score');
+  while(sim.state.score < MILESTONE * 2 + 5) sim.step(FIXED_DT, []);
+  assert.equal(sim.state.score, Math.floor(sim.state.worldX / SCORE_DISTANCE_PX));
+  assert.ok(scores.every(e => e.reason === 'distance'));
+  assert.deepEqual(milestones.map(e => e.score), [MILESTONE, MILESTONE * 2]);
+});
+
+test('the combo multiplier steps up every COMBO_STEP clears, up to MAX_MULTIPLIER', ()=>{
+  assert.equal(CactusSim.comboMultiplier(0), 1);
+  assert.equal(CactusSim.comboMultiplier(COMBO_STEP - 1), 1);
+  assert.equal(CactusSim.comboMultiplier(COMBO_STEP), 2);
+  assert.equal(CactusSim.comboMultiplier(COMBO_STEP * 100), MAX_MULTIPLIER);
+});
+
+test('clears score by the combo, which a needless duck breaks', ()=>{
+  const sim = quietSim();
+  const scores = record(sim, 'score');
+  const breaks = record(sim, 'comboBreak');
+  // high birds pass over a standing player: each is cleared without a move
+  for(let i = 0; i <= COMBO_STEP; i++){
+    sim.debugSpawn({type: 'bird', height: 'high'});
+    for(let j = 0; j < 0.4 / FIXED_DT; j++) sim.step(FIXED_DT, []);
+  }
+  for(let j = 0; j < 3 / FIXED_DT; j++) sim.step(FIXED_DT, []);
+  assert.equal(sim.state.gameOver, false);
+  assert.equal(sim.state.combo, COMBO_STEP + 1);
+  const clears = scores.filter(e => e.reason === 'clear').map(e => e.points);
+  assert.deepEqual(clears, [...Array(COMBO_STEP).fill(1), 2]);
+
+  sim.step(FIXED_DT, ['startDuck']);
+  assert.equal(sim.state.combo, 0);
+  assert.deepEqual(breaks.map(e => e.combo), [COMBO_STEP + 1]);
+});
+
+// spawn `obstacle` and run, jumping on step `jumpAt` (-1: never)
+function nearMisses(obstacle, jumpAt){
+  const sim = quietSim();
+  const misses = record(sim, 'nearMiss');
+  sim.debugSpawn(obstacle);
+  for(let i = 0; i < 400 && !sim.state.gameOver; i++) sim.step(FIXED_DT, i === jumpAt ? ['startJump'] : []);
+  return {sim, misses};
+}
+
+test('an obstacle that needs no move is never a near miss', ()=>{
+  // a high bird clears a standing player's boxes by 9 px
+  const {sim, misses} = nearMisses({type: 'bird', height: 'high'}, -1);
+  assert.equal(sim.state.gameOver, false);
+  assert.equal(sim.state.combo, 1);
+  assert.deepEqual(misses, []);
+});
+
+test('jumping a cactus by a hair is a near miss worth 1..NEAR_MISS_BONUS', ()=>{
+  const found = [];
+  for(let jumpAt = 60; jumpAt < 220; jumpAt += 2){
+    const {sim, misses} = nearMisses({type: 'cactus', count: 1, scale: 1}, jumpAt);
+    if(sim.state.gameOver) continue;
+    assert.ok(misses.length <= 1);
+    found.push(...misses);
+  }
+  assert.ok(found.length > 0, 'no takeoff grazed the cactus');
+  for(const e of found){
+    assert.equal(e.entity.clear, 'jump');
+    assert.ok(e.gap >= 0 && e.gap < 10, `gap ${e.gap}`);
+    assert.ok(e.points >= 1 && e.points <= CactusSim.scoring.NEAR_MISS_BONUS, `points ${e.points}`);
+  }
+});
@@ -0,0 +1,103 @@
+/* Cactus Runner - sim.js: jump physics, profile checks and snapshots */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const CactusSim = require('../sim.js');
+const CactusAgent = require('../agent.js');
+
+const {FIXED_DT, gravity, initialJumpVY, maxHoldJumpSec} = CactusSim.constants;
+const clone = o => JSON.parse(JSON.stringify(o));
+
+// Jumps ------------------------------------------------------
+// jump the live sim on flat ground, holding for `hold` steps (Infinity: never let go)
+function liveJump(hold){
+  const sim = CactusSim.createSimulation({seed: 1});
+  const p = sim.state.player, ground = p.y;
+  let apex = 0, steps = 0;
+  do {
+    sim.step(FIXED_DT, steps === 0 ? ['startJump'] : []);
+    steps++;
+    if(steps === hold) sim.step(0, ['endJump']);
+    apex = Math.max(apex, ground - p.y);
+  } while(!p.grounded && steps < 1000);
+  assert.equal(sim.state.gameOver, false);
+  return {apex, airTime: steps * FIXED_DT};
+}
+
+test('a tap jumps about v^2 / 2g high for about 2v / g', ()=>{
+  const arc = CactusSim.jumpArc(0);
+  const v = -initialJumpVY;
+  assert.ok(Math.abs(arc.apex - v*v / (2*gravity)) < 5, `apex ${arc.apex}`);
+  assert.ok(Math.abs(arc.airTime - 2*v / gravity) < 2*FIXED_DT, `airTime ${arc.airTime}`);
+});
+
+test('holding jump goes higher and longer', ()=>{
+  const tap = CactusSim.jumpArc(0), held = CactusSim.jumpArc(maxHoldJumpSec);
+  assert.ok(held.apex > tap.apex);
+  assert.ok(held.airTime > tap.airTime);
+});
+
+// the sim stops boosting after maxHoldJumpSec however long jump is held
+test('the live sim jumps along jumpArc, which the profile checks rely on', ()=>{
+  for(const [steps, hold] of [[1, FIXED_DT], [Infinity, maxHoldJumpSec]]){
+    const arc = CactusSim.jumpArc(hold);
+    const live = liveJump(steps);
+    assert.ok(Math.abs(live.apex - arc.apex) < 1e-6, `apex ${live.apex} vs ${arc.apex}`);
+    assert.ok(Math.abs(live.airTime - arc.airTime) < 1e-9, `airTime ${live.airTime} vs ${arc.airTime}`);
+  }
+});
+
+// Profiles ---------------------------------------------------
+test('the presets and shipped profiles validate', ()=>{
+  for(const name in CactusSim.PRESETS) assert.deepEqual(CactusSim.validateProfile(CactusSim.PRESETS[name]), [], name);
+  const dir = path.join(__dirname, '..', 'profiles');
+  for(const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))){
+    const text = fs.readFileSync(path.join(dir, file), 'utf8');
+    assert.deepEqual(CactusSim.validateProfile(JSON.parse(text)), [], file);
+    assert.equal(typeof CactusSim.loadProfile(text).name, 'string');
+  }
+});
+
+test('validateProfile rejects malformed and unfair profiles', ()=>{
+  assert.deepEqual(CactusSim.validateProfile(null), ['profile must be an object']);
+  assert.ok(CactusSim.validateProfile({}).includes('name must be a non-empty string'));
+
+  const negative = clone(CactusSim.PRESETS.normal);
+  negative.curve[0].speed = -5;
+  assert.deepEqual(CactusSim.validateProfile(negative), ['curve[0] speed and spawnGap must be positive']);
+
+  const unknown = clone(CactusSim.PRESETS.normal);
+  unknown.tiers[0].weights = {dragon: 5};
+  assert.deepEqual(CactusSim.validateProfile(unknown), ['tiers[0] references unknown pattern "dragon"']);
+
+  const crowded = clone(CactusSim.PRESETS.normal);
+  for(const row of crowded.curve) row.spawnGap = 0.05;
+  const errors = CactusSim.validateProfile(crowded);
+  assert.ok(errors.length > 0);
+  assert.ok(errors.every(e => /needs .* but spawnGap allows/.test(e)), errors[0]);
+
+  assert.throws(()=>CactusSim.loadProfile('{"name": "x"}'), /Invalid difficulty profile/);
+});
+
+// Snapshots --------------------------------------------------
+test('a restored snapshot plays on exactly like the original', ()=>{
+  for(const seed of [1, 2, 3]){
+    const a = CactusSim.createSimulation({seed, profile: CactusSim.PRESETS.easy});
+    const autopilot = CactusAgent.createAutopilot(), mapper = CactusAgent.createActionMapper();
+    const drive = () => mapper.inputs(autopilot.act(CactusAgent.observe(a.state, 6)), a.state);
+    for(let i = 0; i < 1200 + seed*300 && !a.state.gameOver; i++) a.step(FIXED_DT, drive());
+    assert.equal(a.state.gameOver, false, `seed ${seed} died before the snapshot`);
+
+    const b = CactusSim.createSimulation({profile: CactusSim.PRESETS.easy});
+    b.restore(clone(a.snapshot()));
+    for(let i = 0; i < 2400 && !a.state.gameOver; i++){
+      const inputs = drive();
+      a.step(FIXED_DT, inputs);
+      b.step(FIXED_DT, inputs.slice());
+    }
+    assert.deepEqual(clone(b.snapshot().state), clone(a.snapshot().state), `seed ${seed}`);
+    assert.deepEqual(clone(b.recording), clone(a.recording), `seed ${seed}`);
+  }
+});
@@ -0,0 +1,78 @@
+/* Cactus Runner - sim.js terrain: pits and slopes */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CactusSim = require('../sim.js');
+
+const {FIXED_DT} = CactusSim.constants;
+const clone = o => JSON.parse(JSON.stringify(o));
+
+// the normal preset at a steady speed, with `patterns` (all equally likely)
+// or, without, no obstacles but the ones a test spawns
+function makeProfile(patterns){
+  const p = clone(CactusSim.PRESETS.normal);
+  p.name = 'test';
+  p.curve = [{time: 0, speed: 400, spawnGap: 1}];
+  p.pickups = {chance: 0, weights: {coin: 1}};
+  if(patterns){
+    p.patterns = patterns;
+    p.tiers = [{from: 0, weights: Object.fromEntries(Object.keys(patterns).map(k => [k, 1]))}];
+  }
+  return CactusSim.loadProfile(p);
+}
+function quietSim(){
+  const sim = CactusSim.createSimulation({seed: 1, profile: makeProfile()});
+  sim.state.nextSpawnT = Infinity;
+  return sim;
+}
+
+// spawn a pit and run, jumping on step `jumpAt` (-1: never)
+function runPit(jumpAt){
+  const sim = quietSim();
+  const hits = [];
+  sim.on('hit', e => hits.push(e.entity.type));
+  sim.debugSpawn({type: 'pit', width: 70});
+  for(let i = 0; i < 400 && !sim.state.gameOver; i++) sim.step(FIXED_DT, i === jumpAt ? ['startJump'] : []);
+  return {sim, hits};
+}
+
+test('a player who doesn\'t jump falls into a pit', ()=>{
+  const {sim, hits} = runPit(-1);
+  assert.equal(sim.state.gameOver, true);
+  assert.deepEqual(hits, ['pit']);
+  assert.ok(sim.state.player.y > CactusSim.constants.groundY, 'sank below the ground');
+});
+
+test('a pit can be jumped', ()=>{
+  let cleared = 0;
+  for(let jumpAt = 60; jumpAt < 200; jumpAt += 5){
+    const {sim, hits} = runPit(jumpAt);
+    if(!sim.state.gameOver && !hits.length) cleared++;
+  }
+  assert.ok(cleared > 0, 'no takeoff cleared the pit');
+});
+
+test('slopes raise and lower the ground, and the player runs on it', ()=>{
+  const sim = CactusSim.createSimulation({seed: 1, profile: makeProfile({ramp: [{type: 'slope', rise: 24, length: 320}]})});
+  let low = Infinity, high = -Infinity, grounded = 0;
+  for(let i = 0; i < 20 / FIXED_DT; i++){
+    sim.step(FIXED_DT, []);
+    const p = sim.state.player;
+    const level = CactusSim.groundLevel(sim.state, p.x);
+    low = Math.min(low, level);
+    high = Math.max(high, level);
+    if(p.grounded){
+      grounded++;
+      assert.ok(Math.abs(p.y - CactusSim.groundAt(sim.state, p.x)) < 1e-6, `feet off the ground at step ${i}`);
+    }
+  }
+  assert.equal(sim.state.gameOver, false);
+  assert.ok(high - low >= 24, `ground only moved ${high - low} px`);
+  assert.ok(grounded > 0);
+});
+
+test('the profile checks keep pits to widths that can be jumped', ()=>{
+  const p = clone(CactusSim.PRESETS.normal);
+  p.patterns.pit = [{type: 'pit', width: 2000}];
+  assert.deepEqual(CactusSim.validateProfile(p), ['pattern "pit" obstacle 1: width must be within 20..200']);
+});
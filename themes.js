@@ -0,0 +1,115 @@
+/* Cactus Runner - environment themes: biomes and the day/night cycle, as data */
+(function(root){
+  'use strict';
+
+  // Time of day follows distance run (worldX px) and loops. Between keyframes
+  // every colour and number of the two phases is blended.
+  const CYCLE_LENGTH = 30000;
+  const CYCLE = [
+    {at: 0, phase: 'day'},
+    {at: 12000, phase: 'day'},
+    {at: 14500, phase: 'sunset'},
+    {at: 17000, phase: 'night'},
+    {at: 26000, phase: 'night'},
+    {at: 28000, phase: 'sunset'},
+    {at: 30000, phase: 'day'}
+  ];
+
+  // A biome is:
+  //   phases: {day, sunset, night} -> {sky:[top, middle, bottom], far, near,
+  //           ground, groundLines, hud, hudDim, sun, moon, stars} where far and
+  //           near colour the parallax layers and sun/moon/stars are 0..1 alphas
+  //   layers: parallax backdrop, back to front: {shape, color: 'far'|'near',
+  //           alpha, factor (scroll speed vs the ground), top (px above ground
+  //           at the tallest point), spacing (px between repeats)}
+  //           shapes: 'hills' | 'mesas' | 'peaks' | 'dunes'
+  //   ground: {decor: 'dashes'|'cracks'|'drifts'} surface detail
+  const NIGHT_HUD = {hud: '#f2f5f7', hudDim: 'rgba(242,245,247,0.8)'};
+  const DAY_HUD = {hud: '#102a43', hudDim: 'rgba(16,42,67,0.75)'};
+  const BIOMES = {
+    desert: {
+      label: 'Desert',
+      phases: {
+        day: Object.assign({sky: ['#e7efcc', '#d6e7a5', '#d1c58f'], far: '#b9cf94', near: '#a0c37a',
+          ground: '#a98f56', groundLines: 'rgba(0,0,0,0.12)', sun: 1, moon: 0, stars: 0}, DAY_HUD),
+        sunset: Object.assign({sky: ['#f7b267', '#f79d65', '#e0a36b'], far: '#c98a68', near: '#a87a5a',
+          ground: '#8f7048', groundLines: 'rgba(0,0,0,0.16)', sun: 0.7, moon: 0.2, stars: 0.15}, DAY_HUD),
+        night: Object.assign({sky: ['#0b1630', '#1b2a4a', '#2c3553'], far: '#25304d', near: '#2f3b57',
+          ground: '#4a4034', groundLines: 'rgba(0,0,0,0.25)', sun: 0, moon: 1, stars: 1}, NIGHT_HUD)
+      },
+      layers: [
+        {shape: 'dunes', color: 'far', alpha: 0.5, factor: 0.1, top: 70, spacing: 520},
+        {shape: 'hills', color: 'near', alpha: 0.35, factor: 0.2, top: 60, spacing: 920}
+      ],
+      ground: {decor: 'dashes'}
+    },
+    canyon: {
+      label: 'Canyon',
+      phases: {
+        day: Object.assign({sky: ['#cfe8f3', '#f3dcc0', '#e8b98c'], far: '#d98c5f', near: '#b5603a',
+          ground: '#9c5a36', groundLines: 'rgba(60,20,0,0.2)', sun: 1, moon: 0, stars: 0}, DAY_HUD),
+        sunset: Object.assign({sky: ['#f08a5d', '#f6b26b', '#e58a55'], far: '#b8643f', near: '#8e4528',
+          ground: '#7c4529', groundLines: 'rgba(40,10,0,0.25)', sun: 0.7, moon: 0.2, stars: 0.15}, DAY_HUD),
+        night: Object.assign({sky: ['#120d24', '#2a1b3a', '#3b2438'], far: '#3a2433', near: '#4a2b30',
+          ground: '#3d2a24', groundLines: 'rgba(0,0,0,0.3)', sun: 0, moon: 1, stars: 1}, NIGHT_HUD)
+      },
+      layers: [
+        {shape: 'mesas', color: 'far', alpha: 0.6, factor: 0.12, top: 110, spacing: 640},
+        {shape: 'mesas', color: 'near', alpha: 0.8, factor: 0.3, top: 60, spacing: 860}
+      ],
+      ground: {decor: 'cracks'}
+    },
+    snow: {
+      label: 'Snow',
+      phases: {
+        day: Object.assign({sky: ['#dbe9f7', '#eaf2fa', '#f4f8fc'], far: '#b7c9dd', near: '#9fb4cc',
+          ground: '#e9eff5', groundLines: 'rgba(80,110,140,0.25)', sun: 0.8, moon: 0, stars: 0}, DAY_HUD),
+        sunset: Object.assign({sky: ['#c9a7d6', '#f0c3c9', '#f7dfd4'], far: '#a58fb8', near: '#8b7aa3',
+          ground: '#d9d0e0', groundLines: 'rgba(80,60,110,0.25)', sun: 0.6, moon: 0.2, stars: 0.2}, DAY_HUD),
+        night: Object.assign({sky: ['#06101f', '#13233d', '#23344f'], far: '#2b3c57', near: '#354a68',
+          ground: '#9fb0c4', groundLines: 'rgba(0,20,50,0.3)', sun: 0, moon: 1, stars: 1}, NIGHT_HUD)
+      },
+      layers: [
+        {shape: 'peaks', color: 'far', alpha: 0.7, factor: 0.08, top: 140, spacing: 380},
+        {shape: 'peaks', color: 'near', alpha: 0.6, factor: 0.18, top: 80, spacing: 560}
+      ],
+      ground: {decor: 'drifts'}
+    }
+  };
+
+  // Colour maths on '#rrggbb' and 'rgba(r,g,b,a)' strings
+  function parseColor(c){
+    if(c[0] === '#') return [parseInt(c.slice(1,3), 16), parseInt(c.slice(3,5), 16), parseInt(c.slice(5,7), 16), 1];
+    const m = c.match(/[\d.]+/g).map(Number);
+    return [m[0], m[1], m[2], m.length > 3 ? m[3] : 1];
+  }
+  function mixColor(a, b, t){
+    if(a === b) return a;
+    const ca = parseColor(a), cb = parseColor(b);
+    const v = ca.map((x, i) => x + (cb[i] - x) * t);
+    return `rgba(${Math.round(v[0])},${Math.round(v[1])},${Math.round(v[2])},${Math.round(v[3] * 1000) / 1000})`;
+  }
+  function mix(a, b, t){
+    if(typeof a === 'number') return a + (b - a) * t;
+    if(Array.isArray(a)) return a.map((x, i) => mix(x, b[i], t));
+    return mixColor(a, b, t);
+  }
+
+  // Colours of a biome at a distance: the blended phase plus `phase` (the
+  // nearest keyframe's name) and `cycle` (0..1 through the loop)
+  function environmentAt(biome, worldX){
+    const d = ((worldX % CYCLE_LENGTH) + CYCLE_LENGTH) % CYCLE_LENGTH;
+    let i = 1;
+    while(i < CYCLE.length - 1 && CYCLE[i].at <= d) i++;
+    const a = CYCLE[i-1], b = CYCLE[i];
+    const t = (d - a.at) / (b.at - a.at);
+    const pa = biome.phases[a.phase], pb = biome.phases[b.phase];
+    const env = {};
+    for(const key in pa) env[key] = mix(pa[key], pb[key], t);
+    env.phase = t < 0.5 ? a.phase : b.phase;
+    env.cycle = d / CYCLE_LENGTH;
+    return env;
+  }
+
+  root.CactusThemes = {BIOMES, CYCLE, CYCLE_LENGTH, environmentAt, mixColor};
+})(typeof self !== 'undefined' ? self : this);